@@ -1,5 +1,6 @@
-import { portal } from "../app.config.json";
+import { portals } from "../app.config.json";
 import moment from "moment";
+const QueryParser = require("./QueryParser");
 class Common {
   constructor() {}
 
@@ -27,8 +28,13 @@ class Common {
     }
     return descriptionText.join(delimiter);
   }
-  getDatasetUrl(uuid) {
-    return portal.siteUrl + uuid;
+  // Datasets imported before the portals were configured belong to the first
+  // portal
+  getPortal(dataset) {
+    return portals.find((p) => p.id === dataset.portal) || portals[0];
+  }
+  getDatasetUrl(dataset) {
+    return this.getPortal(dataset).siteUrl + dataset.id;
   }
   escapeHtml(unsafe) {
     return unsafe
@@ -50,6 +56,28 @@ class Common {
       return object[field];
     }
   }
+  // Filter keywords use the row search syntax. With the "and" filter logic
+  // they are merged into a single query, otherwise rows matching any of them
+  // are kept.
+  getFilterQueries(keywords, filterLogic) {
+    if (filterLogic !== "and") {
+      return keywords;
+    }
+    return keywords.length > 0 ? [keywords.map((k) => `(${k})`).join(" ")] : [];
+  }
+  parseFilterQueries(keywords, filterLogic) {
+    if (keywords.length === 0) {
+      return null;
+    }
+    try {
+      return QueryParser.combine(
+        keywords.map((k) => QueryParser.parse(k)),
+        filterLogic === "and" ? "and" : "or"
+      );
+    } catch (err) {
+      return null;
+    }
+  }
   formatDate(date) {
     return moment(date).format("MMM Do YYYY");
   }
@@ -1,19 +1,14 @@
 import * as duckdb from "@duckdb/duckdb-wasm";
 import papaparse from "papaparse";
-const PGEscape = require("./PGEscape");
+const DuckDBQueryBuilder = require("./DuckDBQueryBuilder");
+const { FIRST_TABLE_NAME, ROW_ID } = DuckDBQueryBuilder;
 const VIEW_PREFIX = "view_";
-const FIRST_TABLE_NAME = "T1";
 const WORKING_TABLE_NAME = "__work";
-const ALIAS_PREFIX = "alias_";
-const COLUMN_PREFIX = "column_";
-const ROW_ID = "__row_id";
-const TABLE_ID = "__table_id";
-const UNFILLED_TEXT = "UNFILLED";
 
 const CONFIG = {
+  ...DuckDBQueryBuilder.CONFIG,
   GC_ENABLED: true,
   NO_CACHE: false,
-  ROW_ID_ENABLED: true,
 };
 
 class DuckDB {
@@ -62,6 +57,11 @@ class DuckDB {
     console.timeEnd("DuckDB init");
   }
 
+  // DuckDB-wasm runs in a web worker
+  isSupported() {
+    return typeof WebAssembly === "object" && typeof Worker === "function";
+  }
+
   async getDb() {
     if (!this.db) {
       if (!this.dbInitPromise) {
@@ -155,24 +155,10 @@ class DuckDB {
     return this.loadedTables[uuid];
   }
 
-  encodeTableIds(tableIds) {
-    const encodedTableIds = [];
-    tableIds.forEach((t) => encodedTableIds.push(t));
-    return encodedTableIds.sort().join(",");
-  }
-
-  createPaginationSubquery(pageIndex, pageSize) {
-    if (!(Number.isInteger(pageIndex) && Number.isInteger(pageSize))) {
-      return "";
-    }
-    const offset = (pageIndex - 1) * pageSize;
-    return ` OFFSET ${offset} LIMIT ${pageSize}`;
-  }
-
   async getFullTable(uuid, pageIndex, pageSize) {
     const db = await this.getDb();
     const conn = await db.connect();
-    const query = `SELECT * FROM "${uuid}" ${this.createPaginationSubquery(
+    const query = `SELECT * FROM "${uuid}" ${DuckDBQueryBuilder.createPaginationSubquery(
       pageIndex,
       pageSize
     )}`;
@@ -182,7 +168,19 @@ class DuckDB {
     return databaseResult;
   }
 
-  async createDataTableView(uuid, keywords, columnIndexes, sortConfig = null) {
+  // The rows of a page as plain objects, like ServerDuckDB.getRows
+  async getRows(tableId, pageIndex, pageSize) {
+    const result = await this.getFullTable(tableId, pageIndex, pageSize);
+    return result.toArray().map((r) => r.toJSON());
+  }
+
+  async createDataTableView(
+    uuid,
+    keywords,
+    columnIndexes,
+    sortConfig = null,
+    fieldNames = null
+  ) {
     if (!this.loadedTables[uuid]) {
       await this.loadParquet(uuid);
     }
@@ -190,63 +188,45 @@ class DuckDB {
     const db = await this.getDb();
     const conn = await db.connect();
     const viewName = `${VIEW_PREFIX}${uuid}`;
-    const columnCountQuery = `SELECT COUNT(*) AS count FROM pragma_table_info('${uuid}') WHERE name != '${ROW_ID}'`;
-    console.debug(columnCountQuery);
-    const columnCountsResult = await conn.query(columnCountQuery);
-    const columnCounts = Object.values(
-      columnCountsResult.toArray()[0].toJSON()
-    )[0];
-    const allColumns = [];
-    for (let i = 0; i < columnCounts; ++i) {
-      allColumns.push(i);
-    }
+    // The columns are typed in the Parquet file, unless some of their values
+    // do not match the inferred schema
+    const columnTypesQuery = `SELECT name, type FROM pragma_table_info('${uuid}') WHERE name != '${ROW_ID}'`;
+    console.debug(columnTypesQuery);
+    const columnTypesResult = await conn.query(columnTypesQuery);
+    const columnTypes = {};
+    columnTypesResult.toArray().forEach((r) => {
+      const { name, type } = r.toJSON();
+      columnTypes[name] = type;
+    });
+    const allColumns = Object.keys(columnTypes).map((c) => parseInt(c));
     if (!columnIndexes) {
       columnIndexes = allColumns;
     }
     columnIndexes.sort((a, b) => a - b);
+    // The values are displayed and exported as strings
     const selectClause = columnIndexes
       ? `${columnIndexes
-          .map((c) => `"${c}" AS "${FIRST_TABLE_NAME}-${c}"`)
+          .map((c) => `CAST("${c}" AS VARCHAR) AS "${FIRST_TABLE_NAME}-${c}"`)
           .join(",")}`
       : "*";
     let orderByClause;
     if (sortConfig) {
-      if (sortConfig.isNumeric) {
-        orderByClause = `ORDER BY (CASE WHEN "${
-          sortConfig.key
-        }" SIMILAR TO '[+-]?([0-9]*[.])?[0-9]+' THEN "${
-          sortConfig.key
-        }"::FLOAT ELSE NULL END) ${
-          sortConfig.order === "asc" ? "ASC" : "DESC"
-        } NULLS LAST`;
-      } else {
-        orderByClause = `ORDER BY "${FIRST_TABLE_NAME}-${sortConfig.key}" ${
-          sortConfig.order === "asc" ? "ASC" : "DESC"
-        } NULLS LAST`;
-      }
-    }
-    const whereClause = keywords
-      ? keywords
-          .map((currKeywords) => {
-            const keywordsSplit = currKeywords.toLowerCase().split(" ");
-            const andConditions = [];
-            for (let k of keywordsSplit) {
-              const orConditions = [];
-              for (let f of allColumns) {
-                const currCondition = `CONTAINS(LOWER("${f}"),${PGEscape(
-                  "%L",
-                  k
-                )})`;
-                orConditions.push(currCondition);
-              }
-              const currentAndConditions = `(${orConditions.join(" OR ")})`;
-              andConditions.push(currentAndConditions);
-            }
-            const currentAndConditions = `(${andConditions.join(" AND ")})`;
-            return `(${currentAndConditions})`;
-          })
-          .join(" OR ")
-      : "";
+      orderByClause = `ORDER BY ${
+        sortConfig.isNumeric
+          ? `TRY_CAST("${sortConfig.key}" AS DOUBLE)`
+          : `"${sortConfig.key}"`
+      } ${sortConfig.order === "asc" ? "ASC" : "DESC"} NULLS LAST`;
+    }
+    const whereClause = DuckDBQueryBuilder.createKeywordsCondition(
+      keywords,
+      allColumns.map((c) => {
+        return {
+          key: c,
+          name: fieldNames ? fieldNames[c] : String(c),
+          sqlType: columnTypes[c],
+        };
+      })
+    );
 
     const query = `CREATE VIEW "${viewName}" AS SELECT ${selectClause}${
       CONFIG.ROW_ID_ENABLED ? `,"${ROW_ID}"` : ""
@@ -267,90 +247,21 @@ class DuckDB {
     sortConfig = null,
     focusedIds = null
   ) {
-    const { workingTableColumns, columnsMapping } =
-      this.createColumnMappingForHistories(histories);
-    this.createColumnMappingForHistories(histories);
-    const withClause = this.createWithClauseForWorkingTable(columnsMapping);
-    const isSorted = sortConfig && sortConfig.key;
-    const joinCaluses = histories.map((h) =>
-      this.createJoinCaluseForHistory(
-        h,
-        columnsMapping,
-        workingTableColumns,
-        !isSorted || (keywords && keywords.length > 0)
-      )
-    );
-    const allColumns = Object.keys(workingTableColumns);
-    let whereClause =
-      keywords && keywords.length > 0
-        ? keywords
-            .map((currKeywords) => {
-              const keywordsSplit = currKeywords.toLowerCase().split(" ");
-              const andConditions = [];
-              for (let k of keywordsSplit) {
-                const orConditions = [];
-                for (let f of allColumns) {
-                  const currCondition = `CONTAINS(LOWER("${f}"),${PGEscape(
-                    "%L",
-                    k
-                  )})`;
-                  orConditions.push(currCondition);
-                }
-                const currentAndConditions = `(${orConditions.join(" OR ")})`;
-                andConditions.push(currentAndConditions);
-              }
-              const currentAndConditions = `(${andConditions.join(" AND ")})`;
-              return `(${currentAndConditions})`;
-            })
-            .join(" OR ")
-        : null;
-    if (focusedIds) {
-      const condition = `"${TABLE_ID}" IN ('${this.encodeTableIds(
+    const { query, workingTableColumns, columnsMapping } =
+      DuckDBQueryBuilder.createWorkingTableQuery(
+        histories,
+        keywords,
+        sortConfig,
         focusedIds
-      )}')`;
-      whereClause = whereClause ? `${whereClause} AND ${condition}` : condition;
-    }
-    let orderByClause;
-    if (isSorted) {
-      if (sortConfig.isNumeric) {
-        orderByClause = `ORDER BY (CASE WHEN "${
-          sortConfig.key
-        }" SIMILAR TO '[+-]?([0-9]*[.])?[0-9]+' THEN "${
-          sortConfig.key
-        }"::FLOAT WHEN "${
-          sortConfig.key
-        }" = '${UNFILLED_TEXT}' THEN NULL ELSE NULL END) ${
-          sortConfig.order === "asc" ? "ASC" : "DESC"
-        } NULLS LAST, "${sortConfig.key}" ASC NULLS LAST`;
-      } else {
-        orderByClause = `ORDER BY (CASE WHEN "${
-          sortConfig.key
-        }" != '${UNFILLED_TEXT}' THEN "${sortConfig.key}" ELSE NULL END) ${
-          sortConfig.order === "asc" ? "ASC" : "DESC"
-        } NULLS LAST, "${sortConfig.key}" ASC NULLS LAST`;
-      }
-    }
-    const unionCaluse = `${withClause} SELECT * FROM (${joinCaluses
-      .map((j) => `(${j})`)
-      .join(" UNION ALL ")}) ${whereClause ? `WHERE ${whereClause}` : ""} ${
-      orderByClause ? orderByClause : ""
-    }`;
-
-    const fullQuery = `CREATE VIEW "${WORKING_TABLE_NAME}" AS (${unionCaluse})`;
+      );
+    const fullQuery = `CREATE VIEW "${WORKING_TABLE_NAME}" AS (${query})`;
     // Do not trigger GC right now, because some tables may be reused.
     await this.resetWorkingTable(false);
-    const workingTableComponents = new Set();
     await Promise.all(
       Object.keys(columnsMapping).map((id) => this.loadParquet(id))
     );
-    for (let h of histories) {
-      workingTableComponents.add(h.table.id);
-      if (h.joinedTables) {
-        for (let j in h.joinedTables) {
-          workingTableComponents.add(j);
-        }
-      }
-    }
+    const workingTableComponents =
+      DuckDBQueryBuilder.getComponentIds(histories);
     const db = await this.getDb();
     const conn = await db.connect();
     console.debug(fullQuery);
@@ -368,84 +279,6 @@ class DuckDB {
     };
   }
 
-  createJoinCaluseForHistory(
-    history,
-    columnsMapping,
-    workingTableColumns,
-    orderByRowId = false
-  ) {
-    const sourceColumnMapping = columnsMapping[history.resourceStats.uuid];
-    const joinCaluses = [];
-    const joinTargetSet = new Set();
-    const tableIds = new Set([history.table.id]);
-    for (let uuid in history.joinedTables) {
-      const sourceKey = history.joinedTables[uuid].sourceKey;
-      const targetKey = history.joinedTables[uuid].targetKey;
-      const targetColumnMapping = columnsMapping[uuid];
-      const targetResourceStats =
-        history.joinedTables[uuid].targetResourceStats;
-      const sourceKeyIndex = history.resourceStats.schema.fields.findIndex(
-        (f) => f.name === sourceKey
-      );
-      const joinSourceName =
-        sourceColumnMapping.columnIndexToMapped[sourceKeyIndex];
-      const targetKeyIndex = targetResourceStats.schema.fields.findIndex(
-        (f) => f.name === targetKey
-      );
-      const joinTargetName =
-        targetColumnMapping.columnIndexToMapped[targetKeyIndex];
-      joinTargetSet.add(joinTargetName);
-      const currentJoinClause = `LEFT OUTER JOIN "${targetColumnMapping.alias}" ON "${sourceColumnMapping.alias}"."${joinSourceName}" = "${targetColumnMapping.alias}"."${joinTargetName}"`;
-      joinCaluses.push(currentJoinClause);
-      tableIds.add(uuid);
-    }
-    const tableIdsString = this.encodeTableIds(tableIds);
-    return `SELECT ${Object.keys(workingTableColumns)
-      .map((c) => `"${c}"`)
-      .join(", ")}, '${tableIdsString}' AS "${TABLE_ID}"${
-      CONFIG.ROW_ID_ENABLED ? `,"${ROW_ID}"` : ""
-    }  FROM "${sourceColumnMapping.alias}"${
-      joinCaluses.length > 0 ? ` ${joinCaluses.join(" ")}` : ""
-    } ${orderByRowId && CONFIG.ROW_ID_ENABLED ? `ORDER BY ${ROW_ID}` : ""}`;
-  }
-
-  createWithClauseForWorkingTable(columnsMapping) {
-    const withClause = [];
-    for (let uuid in columnsMapping) {
-      const currentMapping = columnsMapping[uuid];
-      const alias = currentMapping.alias;
-      const projections = [];
-      for (let column in currentMapping.mappedToColumnIndex) {
-        let currentProjection;
-        if (currentMapping.isMain) {
-          currentProjection = `${
-            currentMapping.mappedToColumnIndex[column] !== null
-              ? `"${currentMapping.mappedToColumnIndex[column]}"`
-              : `'${UNFILLED_TEXT}'`
-          } AS "${column}"`;
-        } else {
-          currentProjection = `${
-            currentMapping.mappedToColumnIndex[column] ===
-            currentMapping.groupByIndex
-              ? `"${currentMapping.mappedToColumnIndex[column]}"`
-              : `STRING_AGG("${currentMapping.mappedToColumnIndex[column]}", '; ')`
-          } AS "${column}"`;
-        }
-        projections.push(currentProjection);
-      }
-      const projectionString = projections.join(", ");
-      const currentWithClause = `"${alias}" AS (SELECT ${projectionString}${
-        currentMapping.isMain && CONFIG.ROW_ID_ENABLED ? `, "${ROW_ID}"` : ""
-      } FROM "${uuid}"${
-        currentMapping.isMain
-          ? ""
-          : ` GROUP BY "${currentMapping.groupByIndex}"`
-      })`;
-      withClause.push(currentWithClause);
-    }
-    return `WITH ${withClause.join(", ")}`;
-  }
-
   async getTotalCount(tablId) {
     const db = await this.getDb();
     const conn = await db.connect();
@@ -509,9 +342,11 @@ class DuckDB {
   }
 
   async getWorkingTableFirstRowOffset(componentIds) {
-    const id = this.encodeTableIds(componentIds);
     const db = await this.getDb();
-    const query = `SELECT "offset" FROM (SELECT ROW_NUMBER() OVER() as "offset", "${TABLE_ID}" FROM "${WORKING_TABLE_NAME}") WHERE "${TABLE_ID}" = '${id}' LIMIT 1`;
+    const query = DuckDBQueryBuilder.createFirstRowOffsetQuery(
+      `"${WORKING_TABLE_NAME}"`,
+      componentIds
+    );
     console.debug(query);
     const conn = await db.connect();
     const result = await conn.query(query);
@@ -548,7 +383,14 @@ class DuckDB {
     mainTableRowId
   ) {
     const db = await this.getDb();
-    const query = `SELECT "${ROW_ID}", "${targetIndex}" FROM "${tableId}" WHERE "${targetKeyIndex}" IN (SELECT "${sourceKeyIndex}" FROM "${mainTableId}" WHERE "${ROW_ID}" = ${mainTableRowId})`;
+    const query = DuckDBQueryBuilder.createJoinedRowsQuery(
+      mainTableId,
+      tableId,
+      sourceKeyIndex,
+      targetKeyIndex,
+      targetIndex,
+      mainTableRowId
+    );
     console.debug(query);
     const conn = await db.connect();
     const result = await conn.query(query);
@@ -560,212 +402,6 @@ class DuckDB {
     return rowIds;
   }
 
-  resolveSchemas(schemas) {
-    if (schemas.length === 0) {
-      return [];
-    }
-    if (schemas.length === 1) {
-      return schemas[0].map((field) => {
-        return {
-          name: field.name,
-          format: field.format,
-          type: field.type,
-        };
-      });
-    }
-    const results = schemas[0].map((field) => {
-      return {
-        name: field.name,
-        format: field.format,
-        types: new Set(),
-      };
-    });
-    schemas.forEach((s) => {
-      s.forEach((field, i) => {
-        results[i].types.add(field.type);
-      });
-    });
-    results.forEach((f) => {
-      switch (f.types.size) {
-        case 1:
-          f.type = [...f.types][0];
-          break;
-        case 2:
-          if (f.types.has("integer") && f.types.has("number")) {
-            f.type = "number";
-          }
-          if (f.types.has("array") && f.types.has("object")) {
-            f.type = "object";
-          }
-          if (
-            (f.types.has("date") && f.types.has("time")) ||
-            (f.types.has("datetime") && f.types.has("time")) ||
-            (f.types.has("datetime") && f.types.has("date"))
-          ) {
-            f.type = "datetime";
-          }
-          break;
-        case 3:
-          if (
-            f.types.size === 3 &&
-            f.types.has("date") &&
-            f.types.has("time") &&
-            f.types.has("datetime")
-          ) {
-            f.type = "datetime";
-          }
-          break;
-        default:
-          f.type = "string";
-          break;
-      }
-      delete f.types;
-    });
-    return results;
-  }
-
-  createColumnMappingForHistories(histories) {
-    // In standard mode, if there are multiple columns with the same name, we only use the first one. (Unless the column is used as join key).
-    // In this mode, the UI should show an error if the user tries to add a column with the same name to a component.
-    const workingTableNameToColumnMap = {};
-    const columnsMapping = {};
-    const uuidToFieldsMap = {};
-    let idx = 0,
-      tableCouner = 0;
-    histories.forEach((h) => {
-      h.resourceStats.schema.fields.forEach((f) => {
-        if (!workingTableNameToColumnMap[f.name]) {
-          workingTableNameToColumnMap[f.name] = [`${COLUMN_PREFIX}${idx++}`];
-        }
-      });
-      if (!uuidToFieldsMap[h.resourceStats.uuid]) {
-        uuidToFieldsMap[h.resourceStats.uuid] = h.resourceStats.schema.fields;
-      }
-      if (!columnsMapping[h.resourceStats.uuid]) {
-        columnsMapping[h.resourceStats.uuid] = {
-          isMain: true,
-          columnIndexToMapped: [],
-          mappedToColumnIndex: {},
-          alias: `${ALIAS_PREFIX}${tableCouner++}`,
-        };
-      }
-
-      for (let uuid in h.joinedTables) {
-        const targetKeyIndex = h.joinedTables[
-          uuid
-        ].targetResourceStats.schema.fields.findIndex(
-          (f) => f.name === h.joinedTables[uuid].targetKey
-        );
-        const columns = new Set(h.joinedTables[uuid].columns);
-        const fields = h.joinedTables[
-          uuid
-        ].targetResourceStats.schema.fields.map((f, i) => {
-          return i === targetKeyIndex || columns.has(f.name) ? f : null;
-        });
-        fields.forEach((f, i) => {
-          if (!f) {
-            return;
-          }
-          if (!workingTableNameToColumnMap[f.name]) {
-            workingTableNameToColumnMap[f.name] = [`${COLUMN_PREFIX}${idx++}`];
-          } else if (i === targetKeyIndex) {
-            workingTableNameToColumnMap[f.name].push(
-              `${COLUMN_PREFIX}${idx++}`
-            );
-          }
-        });
-        if (!columnsMapping[uuid]) {
-          columnsMapping[uuid] = {
-            isMain: false,
-            columnIndexToMapped: [],
-            mappedToColumnIndex: {},
-            alias: `${ALIAS_PREFIX}${tableCouner++}`,
-            groupByIndex: targetKeyIndex,
-          };
-        }
-        if (!uuidToFieldsMap[uuid]) {
-          uuidToFieldsMap[uuid] = fields;
-        }
-      }
-    });
-    const workingTableColumnToNameMap = {};
-    for (let k in workingTableNameToColumnMap) {
-      for (let ci of workingTableNameToColumnMap[k]) {
-        workingTableColumnToNameMap[ci] = k;
-      }
-    }
-    histories.forEach((h) => {
-      const currWorkingTableNameToColumnMap = JSON.parse(
-        JSON.stringify(workingTableNameToColumnMap)
-      );
-      h.resourceStats.schema.fields.forEach((f, i) => {
-        const currentColumnMappedName =
-          currWorkingTableNameToColumnMap[f.name].shift();
-        columnsMapping[h.resourceStats.uuid].columnIndexToMapped[i] =
-          currentColumnMappedName ? currentColumnMappedName : null;
-      });
-      for (let uuid in h.joinedTables) {
-        uuidToFieldsMap[uuid].forEach((f, j) => {
-          if (!f) {
-            return;
-          }
-          const currentColumnMappedName =
-            currWorkingTableNameToColumnMap[f.name].shift();
-          columnsMapping[uuid].columnIndexToMapped[j] = currentColumnMappedName
-            ? currentColumnMappedName
-            : null;
-        });
-      }
-    });
-    const columnNameToSchemaMap = {};
-    const workingTableColumns = {};
-    for (let uuid in columnsMapping) {
-      const currColumnMapping = columnsMapping[uuid];
-      const fields = uuidToFieldsMap[uuid];
-      currColumnMapping.columnIndexToMapped.forEach((c, i) => {
-        if (!c) {
-          return;
-        }
-        workingTableColumns[c] = undefined;
-        currColumnMapping.mappedToColumnIndex[c] = i;
-        if (!columnNameToSchemaMap[fields[i].name]) {
-          columnNameToSchemaMap[fields[i].name] = [];
-        }
-        columnNameToSchemaMap[fields[i].name].push([fields[i]]);
-      });
-    }
-    for (let cn in columnNameToSchemaMap) {
-      columnNameToSchemaMap[cn] = this.resolveSchemas(
-        columnNameToSchemaMap[cn]
-      )[0];
-    }
-    for (let c in workingTableColumns) {
-      workingTableColumns[c] =
-        columnNameToSchemaMap[workingTableColumnToNameMap[c]];
-    }
-
-    // Fill in nulls for missing columns
-    const allColumnNames = Object.keys(workingTableColumns);
-    histories.forEach((h) => {
-      const currColumns = new Set(
-        columnsMapping[h.resourceStats.uuid].columnIndexToMapped
-      );
-      for (let uuid in h.joinedTables) {
-        columnsMapping[uuid].columnIndexToMapped.forEach((c) =>
-          currColumns.add(c)
-        );
-      }
-      const missingColumns = allColumnNames.filter((c) => !currColumns.has(c));
-      missingColumns.forEach((c) => {
-        columnsMapping[h.resourceStats.uuid].mappedToColumnIndex[c] = null;
-      });
-    });
-    return {
-      workingTableColumns,
-      columnsMapping,
-    };
-  }
-
   async dumpCsv(
     tableId,
     header,
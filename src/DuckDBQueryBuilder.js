@@ -0,0 +1,560 @@
+// Builder of the DuckDB queries of the working tables, shared by the browser
+// (DuckDB-wasm, see DuckDB.js) and the server (see server/WorkingTable.js),
+// so that both compute the same working table from the same plan: the
+// histories of the working table with their joined tables, the filter
+// keywords, the sort and the focused components. The tables are queried by
+// their uuids, with their columns named by their indexes and the number of
+// their rows in `__row_id`. The columns are typed from the inferred schemas
+// (see utils/CSVToParquetConverter.py), but a column is stored as strings
+// when some of its values do not match its type, so the typed comparisons
+// use TRY_CAST.
+const PGEscape = require("./PGEscape");
+const QueryParser = require("./QueryParser");
+const FIRST_TABLE_NAME = "T1";
+const ALIAS_PREFIX = "alias_";
+const COLUMN_PREFIX = "column_";
+const ROW_ID = "__row_id";
+const TABLE_ID = "__table_id";
+const UNION_ALIAS = "histories";
+
+const CONFIG = {
+  ROW_ID_ENABLED: true,
+};
+
+// The DuckDB types of the types of the schemas, the other types are stored
+// as strings
+const SQL_TYPES = {
+  integer: "BIGINT",
+  year: "BIGINT",
+  number: "DOUBLE",
+  date: "DATE",
+  datetime: "TIMESTAMP",
+  boolean: "BOOLEAN",
+};
+const NUMERIC_SQL_TYPES = new Set(["BIGINT", "DOUBLE"]);
+const TEMPORAL_SQL_TYPES = new Set(["DATE", "TIMESTAMP"]);
+
+const getSqlType = (type) => SQL_TYPES[type] || "VARCHAR";
+
+// The join keys are compared as strings, with the numbers written the same
+// way whether they are integers, doubles or strings
+const createKeyExpression = (column) =>
+  `COALESCE(CAST(TRY_CAST(CAST(${column} AS VARCHAR) AS DOUBLE) AS VARCHAR), CAST(${column} AS VARCHAR))`;
+
+const encodeTableIds = (tableIds) => {
+  const encodedTableIds = [];
+  tableIds.forEach((t) => encodedTableIds.push(t));
+  return encodedTableIds.sort().join(",");
+};
+
+const createPaginationSubquery = (pageIndex, pageSize) => {
+  if (!(Number.isInteger(pageIndex) && Number.isInteger(pageSize))) {
+    return "";
+  }
+  const offset = (pageIndex - 1) * pageSize;
+  return ` OFFSET ${offset} LIMIT ${pageSize}`;
+};
+
+// Translates a parsed filter query into a SQL condition, `columns` is an
+// array of { key, name, sqlType } with the column name in DuckDB and in the
+// schema, and the DuckDB type of the column
+const createQueryCondition = (node, columns) => {
+  switch (node.type) {
+    case "term": {
+      const conditions = columns
+        .filter(
+          (c) => !node.field || String(c.name).toLowerCase() === node.field
+        )
+        .map(
+          (c) =>
+            `CONTAINS(LOWER(COALESCE(CAST("${
+              c.key
+            }" AS VARCHAR), '')),${PGEscape("%L", node.value)})`
+        );
+      return conditions.length > 0 ? `(${conditions.join(" OR ")})` : "FALSE";
+    }
+    case "range": {
+      const conditions = columns
+        .filter((c) => String(c.name).toLowerCase() === node.field)
+        .map((c) => createRangeCondition(node, c));
+      return conditions.length > 0 ? `(${conditions.join(" OR ")})` : "FALSE";
+    }
+    case "not":
+      return `(NOT ${createQueryCondition(node.child, columns)})`;
+    case "and":
+      return `(${node.children
+        .map((c) => createQueryCondition(c, columns))
+        .join(" AND ")})`;
+    case "or":
+      return `(${node.children
+        .map((c) => createQueryCondition(c, columns))
+        .join(" OR ")})`;
+  }
+};
+
+// Compares the values of a column with the bounds of a range, the values of
+// the columns of other types are cast in the domains of the bounds
+const createRangeCondition = (node, column) => {
+  const key = column.key;
+  const toTimestamp = (date) =>
+    `TIMESTAMP '${new Date(date)
+      .toISOString()
+      .replace("T", " ")
+      .replace("Z", "")}'`;
+  const compare = (value, lower, upper) => {
+    const conditions = [`${value} IS NOT NULL`];
+    if (lower) {
+      conditions.push(
+        `${value} ${lower.inclusive ? ">=" : ">"} ${lower.value}`
+      );
+    }
+    if (upper) {
+      conditions.push(
+        `${value} ${upper.inclusive ? "<=" : "<"} ${upper.value}`
+      );
+    }
+    return `(${conditions.join(" AND ")})`;
+  };
+  const conditions = QueryParser.getRangeDomains(node).map((domain) => {
+    const { lower, upper } = QueryParser.getDomainBounds(node, domain);
+    if (domain === "number") {
+      return compare(
+        NUMERIC_SQL_TYPES.has(column.sqlType)
+          ? `TRY_CAST("${key}" AS DOUBLE)`
+          : `TRY_CAST(REGEXP_REPLACE(COALESCE(CAST("${key}" AS VARCHAR), ''), '[,$%\\s]', '', 'g') AS DOUBLE)`,
+        lower,
+        upper
+      );
+    }
+    const toTimestampBound = (bound) =>
+      bound && { ...bound, value: toTimestamp(bound.value) };
+    return compare(
+      TEMPORAL_SQL_TYPES.has(column.sqlType)
+        ? `TRY_CAST("${key}" AS TIMESTAMP)`
+        : `TRY_CAST(CAST("${key}" AS VARCHAR) AS TIMESTAMP)`,
+      toTimestampBound(lower),
+      toTimestampBound(upper)
+    );
+  });
+  return conditions.length > 0 ? `(${conditions.join(" OR ")})` : "FALSE";
+};
+
+// Each of the keywords is a query of the row search syntax, the rows
+// matching any of them are kept
+const createKeywordsCondition = (keywords, columns) => {
+  if (!keywords || keywords.length === 0) {
+    return "";
+  }
+  const parsedKeywords = keywords.map((k) => QueryParser.parse(k));
+  return createQueryCondition(
+    QueryParser.combine(parsedKeywords, "or"),
+    columns
+  );
+};
+
+const createJoinCaluseForHistory = (
+  history,
+  columnsMapping,
+  workingTableColumns,
+  orderByRowId = false
+) => {
+  const sourceColumnMapping = columnsMapping[history.resourceStats.uuid];
+  const joinCaluses = [];
+  const joinTargetSet = new Set();
+  const tableIds = new Set([history.table.id]);
+  for (let uuid in history.joinedTables) {
+    const sourceKey = history.joinedTables[uuid].sourceKey;
+    const targetKey = history.joinedTables[uuid].targetKey;
+    const targetColumnMapping = columnsMapping[uuid];
+    const targetResourceStats = history.joinedTables[uuid].targetResourceStats;
+    const sourceKeyIndex = history.resourceStats.schema.fields.findIndex(
+      (f) => f.name === sourceKey
+    );
+    const joinSourceName =
+      sourceColumnMapping.columnIndexToMapped[sourceKeyIndex];
+    const targetKeyIndex = targetResourceStats.schema.fields.findIndex(
+      (f) => f.name === targetKey
+    );
+    const joinTargetName =
+      targetColumnMapping.columnIndexToMapped[targetKeyIndex];
+    joinTargetSet.add(joinTargetName);
+    const currentJoinClause = `LEFT OUTER JOIN "${
+      targetColumnMapping.alias
+    }" ON ${createKeyExpression(
+      `"${sourceColumnMapping.alias}"."${joinSourceName}"`
+    )} = ${createKeyExpression(
+      `"${targetColumnMapping.alias}"."${joinTargetName}"`
+    )}`;
+    joinCaluses.push(currentJoinClause);
+    tableIds.add(uuid);
+  }
+  const tableIdsString = encodeTableIds(tableIds);
+  return `SELECT ${Object.keys(workingTableColumns)
+    .map((c) => `"${c}"`)
+    .join(", ")}, '${tableIdsString}' AS "${TABLE_ID}"${
+    CONFIG.ROW_ID_ENABLED ? `,"${ROW_ID}"` : ""
+  }  FROM "${sourceColumnMapping.alias}"${
+    joinCaluses.length > 0 ? ` ${joinCaluses.join(" ")}` : ""
+  } ${orderByRowId && CONFIG.ROW_ID_ENABLED ? `ORDER BY ${ROW_ID}` : ""}`;
+};
+
+// The columns of the working table keep their types, unless the types of
+// the columns of its tables do not resolve to one type (see resolveSchemas),
+// and the missing columns are nulls
+const createWithClauseForWorkingTable = (
+  columnsMapping,
+  workingTableColumns
+) => {
+  const withClause = [];
+  for (let uuid in columnsMapping) {
+    const currentMapping = columnsMapping[uuid];
+    const alias = currentMapping.alias;
+    const projections = [];
+    for (let column in currentMapping.mappedToColumnIndex) {
+      const index = currentMapping.mappedToColumnIndex[column];
+      const isString =
+        getSqlType(workingTableColumns[column].type) === "VARCHAR";
+      let currentProjection;
+      if (index === null) {
+        currentProjection = `NULL AS "${column}"`;
+      } else if (
+        currentMapping.isMain ||
+        index === currentMapping.groupByIndex
+      ) {
+        currentProjection = `${
+          isString ? `CAST("${index}" AS VARCHAR)` : `"${index}"`
+        } AS "${column}"`;
+      } else {
+        currentProjection = `STRING_AGG(CAST("${index}" AS VARCHAR), '; ') AS "${column}"`;
+      }
+      projections.push(currentProjection);
+    }
+    const projectionString = projections.join(", ");
+    const currentWithClause = `"${alias}" AS (SELECT ${projectionString}${
+      currentMapping.isMain && CONFIG.ROW_ID_ENABLED ? `, "${ROW_ID}"` : ""
+    } FROM "${uuid}"${
+      currentMapping.isMain ? "" : ` GROUP BY "${currentMapping.groupByIndex}"`
+    })`;
+    withClause.push(currentWithClause);
+  }
+  return `WITH ${withClause.join(", ")}`;
+};
+
+const resolveSchemas = (schemas) => {
+  if (schemas.length === 0) {
+    return [];
+  }
+  if (schemas.length === 1) {
+    return schemas[0].map((field) => {
+      return {
+        name: field.name,
+        format: field.format,
+        type: field.type,
+      };
+    });
+  }
+  const results = schemas[0].map((field) => {
+    return {
+      name: field.name,
+      format: field.format,
+      types: new Set(),
+    };
+  });
+  schemas.forEach((s) => {
+    s.forEach((field, i) => {
+      results[i].types.add(field.type);
+    });
+  });
+  results.forEach((f) => {
+    switch (f.types.size) {
+      case 1:
+        f.type = [...f.types][0];
+        break;
+      case 2:
+        if (f.types.has("integer") && f.types.has("number")) {
+          f.type = "number";
+        }
+        if (f.types.has("array") && f.types.has("object")) {
+          f.type = "object";
+        }
+        if (
+          (f.types.has("date") && f.types.has("time")) ||
+          (f.types.has("datetime") && f.types.has("time")) ||
+          (f.types.has("datetime") && f.types.has("date"))
+        ) {
+          f.type = "datetime";
+        }
+        break;
+      case 3:
+        if (
+          f.types.size === 3 &&
+          f.types.has("date") &&
+          f.types.has("time") &&
+          f.types.has("datetime")
+        ) {
+          f.type = "datetime";
+        }
+        break;
+      default:
+        f.type = "string";
+        break;
+    }
+    delete f.types;
+  });
+  return results;
+};
+
+const createColumnMappingForHistories = (histories) => {
+  // In standard mode, if there are multiple columns with the same name, we only use the first one. (Unless the column is used as join key).
+  // In this mode, the UI should show an error if the user tries to add a column with the same name to a component.
+  const workingTableNameToColumnMap = {};
+  const columnsMapping = {};
+  const uuidToFieldsMap = {};
+  let idx = 0,
+    tableCouner = 0;
+  histories.forEach((h) => {
+    h.resourceStats.schema.fields.forEach((f) => {
+      if (!workingTableNameToColumnMap[f.name]) {
+        workingTableNameToColumnMap[f.name] = [`${COLUMN_PREFIX}${idx++}`];
+      }
+    });
+    if (!uuidToFieldsMap[h.resourceStats.uuid]) {
+      uuidToFieldsMap[h.resourceStats.uuid] = h.resourceStats.schema.fields;
+    }
+    if (!columnsMapping[h.resourceStats.uuid]) {
+      columnsMapping[h.resourceStats.uuid] = {
+        isMain: true,
+        columnIndexToMapped: [],
+        mappedToColumnIndex: {},
+        alias: `${ALIAS_PREFIX}${tableCouner++}`,
+      };
+    }
+
+    for (let uuid in h.joinedTables) {
+      const targetKeyIndex = h.joinedTables[
+        uuid
+      ].targetResourceStats.schema.fields.findIndex(
+        (f) => f.name === h.joinedTables[uuid].targetKey
+      );
+      const columns = new Set(h.joinedTables[uuid].columns);
+      const fields = h.joinedTables[uuid].targetResourceStats.schema.fields.map(
+        (f, i) => {
+          return i === targetKeyIndex || columns.has(f.name) ? f : null;
+        }
+      );
+      fields.forEach((f, i) => {
+        if (!f) {
+          return;
+        }
+        if (!workingTableNameToColumnMap[f.name]) {
+          workingTableNameToColumnMap[f.name] = [`${COLUMN_PREFIX}${idx++}`];
+        } else if (i === targetKeyIndex) {
+          workingTableNameToColumnMap[f.name].push(`${COLUMN_PREFIX}${idx++}`);
+        }
+      });
+      if (!columnsMapping[uuid]) {
+        columnsMapping[uuid] = {
+          isMain: false,
+          columnIndexToMapped: [],
+          mappedToColumnIndex: {},
+          alias: `${ALIAS_PREFIX}${tableCouner++}`,
+          groupByIndex: targetKeyIndex,
+        };
+      }
+      if (!uuidToFieldsMap[uuid]) {
+        uuidToFieldsMap[uuid] = fields;
+      }
+    }
+  });
+  const workingTableColumnToNameMap = {};
+  for (let k in workingTableNameToColumnMap) {
+    for (let ci of workingTableNameToColumnMap[k]) {
+      workingTableColumnToNameMap[ci] = k;
+    }
+  }
+  histories.forEach((h) => {
+    const currWorkingTableNameToColumnMap = JSON.parse(
+      JSON.stringify(workingTableNameToColumnMap)
+    );
+    h.resourceStats.schema.fields.forEach((f, i) => {
+      const currentColumnMappedName =
+        currWorkingTableNameToColumnMap[f.name].shift();
+      columnsMapping[h.resourceStats.uuid].columnIndexToMapped[i] =
+        currentColumnMappedName ? currentColumnMappedName : null;
+    });
+    for (let uuid in h.joinedTables) {
+      uuidToFieldsMap[uuid].forEach((f, j) => {
+        if (!f) {
+          return;
+        }
+        const currentColumnMappedName =
+          currWorkingTableNameToColumnMap[f.name].shift();
+        columnsMapping[uuid].columnIndexToMapped[j] = currentColumnMappedName
+          ? currentColumnMappedName
+          : null;
+      });
+    }
+  });
+  const columnNameToSchemaMap = {};
+  const workingTableColumns = {};
+  for (let uuid in columnsMapping) {
+    const currColumnMapping = columnsMapping[uuid];
+    const fields = uuidToFieldsMap[uuid];
+    currColumnMapping.columnIndexToMapped.forEach((c, i) => {
+      if (!c) {
+        return;
+      }
+      workingTableColumns[c] = undefined;
+      currColumnMapping.mappedToColumnIndex[c] = i;
+      if (!columnNameToSchemaMap[fields[i].name]) {
+        columnNameToSchemaMap[fields[i].name] = [];
+      }
+      columnNameToSchemaMap[fields[i].name].push([fields[i]]);
+    });
+  }
+  for (let cn in columnNameToSchemaMap) {
+    columnNameToSchemaMap[cn] = resolveSchemas(columnNameToSchemaMap[cn])[0];
+  }
+  for (let c in workingTableColumns) {
+    workingTableColumns[c] =
+      columnNameToSchemaMap[workingTableColumnToNameMap[c]];
+  }
+
+  // Fill in nulls for missing columns
+  const allColumnNames = Object.keys(workingTableColumns);
+  histories.forEach((h) => {
+    const currColumns = new Set(
+      columnsMapping[h.resourceStats.uuid].columnIndexToMapped
+    );
+    for (let uuid in h.joinedTables) {
+      columnsMapping[uuid].columnIndexToMapped.forEach((c) =>
+        currColumns.add(c)
+      );
+    }
+    const missingColumns = allColumnNames.filter((c) => !currColumns.has(c));
+    missingColumns.forEach((c) => {
+      columnsMapping[h.resourceStats.uuid].mappedToColumnIndex[c] = null;
+    });
+  });
+  return {
+    workingTableColumns,
+    columnsMapping,
+  };
+};
+// Returns the ids of the tables of the working table, which are its
+// components
+const getComponentIds = (histories) => {
+  const componentIds = new Set();
+  for (let h of histories) {
+    componentIds.add(h.table.id);
+    if (h.joinedTables) {
+      for (let j in h.joinedTables) {
+        componentIds.add(j);
+      }
+    }
+  }
+  return componentIds;
+};
+
+const createWorkingTableQuery = (
+  histories,
+  keywords = null,
+  sortConfig = null,
+  focusedIds = null
+) => {
+  const { workingTableColumns, columnsMapping } =
+    createColumnMappingForHistories(histories);
+  const withClause = createWithClauseForWorkingTable(
+    columnsMapping,
+    workingTableColumns
+  );
+  const isSorted = sortConfig && sortConfig.key;
+  const joinCaluses = histories.map((h) =>
+    createJoinCaluseForHistory(
+      h,
+      columnsMapping,
+      workingTableColumns,
+      !isSorted || (keywords && keywords.length > 0)
+    )
+  );
+  const allColumns = Object.keys(workingTableColumns);
+  let whereClause = createKeywordsCondition(
+    keywords,
+    allColumns.map((c) => {
+      return {
+        key: c,
+        name: workingTableColumns[c].name,
+        sqlType: getSqlType(workingTableColumns[c].type),
+      };
+    })
+  );
+  if (focusedIds) {
+    const condition = `"${TABLE_ID}" IN ('${encodeTableIds(focusedIds)}')`;
+    whereClause = whereClause ? `${whereClause} AND ${condition}` : condition;
+  }
+  // The rows are sorted by the typed columns, which are qualified since the
+  // selected columns are their strings
+  let orderByClause;
+  if (isSorted) {
+    const column = `"${UNION_ALIAS}"."${sortConfig.key}"`;
+    orderByClause = `ORDER BY ${
+      sortConfig.isNumeric ? `TRY_CAST(${column} AS DOUBLE)` : column
+    } ${
+      sortConfig.order === "asc" ? "ASC" : "DESC"
+    } NULLS LAST, CAST(${column} AS VARCHAR) ASC NULLS LAST`;
+  }
+  const selectClause = [
+    ...allColumns.map((c) => `CAST("${c}" AS VARCHAR) AS "${c}"`),
+    `"${TABLE_ID}"`,
+    ...(CONFIG.ROW_ID_ENABLED ? [`"${ROW_ID}"`] : []),
+  ].join(", ");
+  const query = `${withClause} SELECT ${selectClause} FROM (${joinCaluses
+    .map((j) => `(${j})`)
+    .join(" UNION ALL ")}) AS "${UNION_ALIAS}" ${
+    whereClause ? `WHERE ${whereClause}` : ""
+  } ${orderByClause ? orderByClause : ""}`;
+  return {
+    query,
+    columnsMapping,
+    workingTableColumns,
+  };
+};
+
+// `source` is the working table, either a view or a subquery
+const createFirstRowOffsetQuery = (source, componentIds) => {
+  const id = encodeTableIds(componentIds);
+  return `SELECT "offset" FROM (SELECT ROW_NUMBER() OVER() as "offset", "${TABLE_ID}" FROM ${source}) WHERE "${TABLE_ID}" = '${id}' LIMIT 1`;
+};
+
+// The rows of a joined table joined with a row of the main table
+const createJoinedRowsQuery = (
+  mainTableId,
+  tableId,
+  sourceKeyIndex,
+  targetKeyIndex,
+  targetIndex,
+  mainTableRowId
+) => {
+  return `SELECT "${ROW_ID}", CAST("${targetIndex}" AS VARCHAR) AS "${targetIndex}" FROM "${tableId}" WHERE ${createKeyExpression(
+    `"${targetKeyIndex}"`
+  )} IN (SELECT ${createKeyExpression(
+    `"${sourceKeyIndex}"`
+  )} FROM "${mainTableId}" WHERE "${ROW_ID}" = ${mainTableRowId})`;
+};
+
+module.exports = {
+  FIRST_TABLE_NAME,
+  ROW_ID,
+  TABLE_ID,
+  CONFIG,
+  encodeTableIds,
+  createPaginationSubquery,
+  createQueryCondition,
+  createKeywordsCondition,
+  resolveSchemas,
+  createColumnMappingForHistories,
+  getComponentIds,
+  createWorkingTableQuery,
+  createFirstRowOffsetQuery,
+  createJoinedRowsQuery,
+};
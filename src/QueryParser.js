@@ -0,0 +1,657 @@
+// Parser for the row search query language, shared by the server (to build
+// the search engine query) and the frontend (to filter and highlight cells),
+// so both sides agree on what a query matches.
+//
+// Supported syntax:
+//   bedok                 rows with a value containing "bedok"
+//   "ang mo kio"          rows with a value containing the phrase
+//   town:bedok            rows whose "town" column contains "bedok"
+//   town:"ang mo kio"     phrase scoped to a column
+//   -bedok, -town:bedok   exclusion
+//   bedok OR tampines     alternatives, AND binds tighter than OR
+//   (a OR b) c            grouping
+//   price>500000          numeric or date ranges on a column, with the
+//   date>=2019-01-01      operators >, >=, < and <=
+//   year:2015..2020       inclusive range, either end may be left open
+// Terms separated by whitespace are combined with AND. Matching is case
+// insensitive. The tables filter their rows by substrings (e.g. "bed"
+// matches "Bedok"), while the search index matches whole words: the rows of
+// the search results are checked with MATCH_MODES.WORDS, so that they agree
+// with the index on the excluded terms.
+const ValueParser = require("./ValueParser");
+
+class QueryParserError extends Error {
+  constructor(message, position) {
+    super(message);
+    this.name = "QueryParserError";
+    this.position = position;
+  }
+}
+
+const TOKEN_TYPES = {
+  WORD: "word",
+  PHRASE: "phrase",
+  LPAREN: "lparen",
+  RPAREN: "rparen",
+  OR: "or",
+  NOT: "not",
+  FIELD: "field",
+  COMPARISON: "comparison",
+};
+
+const MATCH_MODES = {
+  // The terms are found anywhere in the values
+  SUBSTRINGS: "substrings",
+  // The words of the terms are found in the words of the values, like the
+  // standard analyzer of Elasticsearch does (see splitWords)
+  WORDS: "words",
+};
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+const COMPARISON_PATTERN = /^([^:<>=]+)(>=|<=|>|<)(.*)$/;
+const RANGE_PATTERN = /^(.*?)\.\.(.*)$/;
+
+const isSpecialCharacter = (c) => /[\s()"]/.test(c);
+
+const tokenize = (query) => {
+  const tokens = [];
+  let i = 0;
+  while (i < query.length) {
+    const c = query[i];
+    if (/\s/.test(c)) {
+      ++i;
+      continue;
+    }
+    if (c === "(") {
+      tokens.push({ type: TOKEN_TYPES.LPAREN, position: i });
+      ++i;
+      continue;
+    }
+    if (c === ")") {
+      tokens.push({ type: TOKEN_TYPES.RPAREN, position: i });
+      ++i;
+      continue;
+    }
+    if (c === '"') {
+      const end = query.indexOf('"', i + 1);
+      if (end === -1) {
+        throw new QueryParserError("Unterminated quoted phrase", i);
+      }
+      tokens.push({
+        type: TOKEN_TYPES.PHRASE,
+        value: query.slice(i + 1, end),
+        position: i,
+      });
+      i = end + 1;
+      continue;
+    }
+    // "-" only negates when it starts a term, so "2019-01" stays a word
+    const previous = tokens[tokens.length - 1];
+    const isTermStart =
+      !previous ||
+      previous.type === TOKEN_TYPES.LPAREN ||
+      previous.type === TOKEN_TYPES.OR ||
+      /\s/.test(query[i - 1]);
+    if (c === "-" && isTermStart && i + 1 < query.length) {
+      if (/\s/.test(query[i + 1])) {
+        throw new QueryParserError("Nothing to exclude after '-'", i);
+      }
+      tokens.push({ type: TOKEN_TYPES.NOT, position: i });
+      ++i;
+      continue;
+    }
+    let end = i;
+    while (end < query.length && !isSpecialCharacter(query[end])) {
+      ++end;
+    }
+    const word = query.slice(i, end);
+    const colonIndex = word.indexOf(":");
+    const comparison = word.match(COMPARISON_PATTERN);
+    if (
+      comparison &&
+      (colonIndex === -1 || colonIndex > comparison[1].length)
+    ) {
+      tokens.push({
+        type: TOKEN_TYPES.COMPARISON,
+        field: comparison[1],
+        operator: comparison[2],
+        value: comparison[3],
+        position: i,
+      });
+    } else if (colonIndex > 0) {
+      tokens.push({
+        type: TOKEN_TYPES.FIELD,
+        value: word.slice(0, colonIndex),
+        position: i,
+      });
+      const rest = word.slice(colonIndex + 1);
+      if (rest.length > 0) {
+        tokens.push({
+          type: TOKEN_TYPES.WORD,
+          value: rest,
+          position: i + colonIndex + 1,
+        });
+      }
+    } else if (word === "OR") {
+      tokens.push({ type: TOKEN_TYPES.OR, position: i });
+    } else {
+      tokens.push({ type: TOKEN_TYPES.WORD, value: word, position: i });
+    }
+    i = end;
+  }
+  return tokens;
+};
+
+// Recursive descent parser:
+//   or   := and ("OR" and)*
+//   and  := unary+
+//   unary:= "-"? primary
+//   primary := "(" or ")" | field? (word | phrase)
+class Parser {
+  constructor(query) {
+    this.query = query;
+    this.tokens = tokenize(query);
+    this.index = 0;
+  }
+
+  peek() {
+    return this.tokens[this.index];
+  }
+
+  next() {
+    return this.tokens[this.index++];
+  }
+
+  endPosition() {
+    return this.query.length;
+  }
+
+  parse() {
+    if (this.tokens.length === 0) {
+      throw new QueryParserError("The query is empty", 0);
+    }
+    const node = this.parseOr();
+    const token = this.peek();
+    if (token) {
+      throw new QueryParserError("Unmatched ')'", token.position);
+    }
+    if (!hasPositiveTerm(node)) {
+      throw new QueryParserError(
+        "The query must contain at least one term that is not excluded",
+        0
+      );
+    }
+    return node;
+  }
+
+  parseOr() {
+    const children = [this.parseAnd()];
+    while (this.peek() && this.peek().type === TOKEN_TYPES.OR) {
+      const orToken = this.next();
+      const token = this.peek();
+      if (
+        !token ||
+        token.type === TOKEN_TYPES.OR ||
+        token.type === TOKEN_TYPES.RPAREN
+      ) {
+        throw new QueryParserError("Missing term after OR", orToken.position);
+      }
+      children.push(this.parseAnd());
+    }
+    return children.length === 1 ? children[0] : { type: "or", children };
+  }
+
+  parseAnd() {
+    const children = [];
+    for (;;) {
+      const token = this.peek();
+      if (
+        !token ||
+        token.type === TOKEN_TYPES.OR ||
+        token.type === TOKEN_TYPES.RPAREN
+      ) {
+        break;
+      }
+      children.push(this.parseUnary());
+    }
+    if (children.length === 0) {
+      const token = this.peek();
+      throw new QueryParserError(
+        token && token.type === TOKEN_TYPES.OR
+          ? "Missing term before OR"
+          : "Missing term",
+        token ? token.position : this.endPosition()
+      );
+    }
+    return children.length === 1 ? children[0] : { type: "and", children };
+  }
+
+  parseUnary() {
+    if (this.peek().type === TOKEN_TYPES.NOT) {
+      const notToken = this.next();
+      if (!this.peek()) {
+        throw new QueryParserError(
+          "Nothing to exclude after '-'",
+          notToken.position
+        );
+      }
+      return { type: "not", child: this.parsePrimary() };
+    }
+    return this.parsePrimary();
+  }
+
+  parsePrimary() {
+    const token = this.next();
+    switch (token.type) {
+      case TOKEN_TYPES.LPAREN: {
+        if (this.peek() && this.peek().type === TOKEN_TYPES.RPAREN) {
+          throw new QueryParserError("Empty group", token.position);
+        }
+        const node = this.parseOr();
+        const closing = this.next();
+        if (!closing || closing.type !== TOKEN_TYPES.RPAREN) {
+          throw new QueryParserError("Unmatched '('", token.position);
+        }
+        return node;
+      }
+      case TOKEN_TYPES.FIELD: {
+        const valueToken = this.next();
+        if (
+          !valueToken ||
+          (valueToken.type !== TOKEN_TYPES.WORD &&
+            valueToken.type !== TOKEN_TYPES.PHRASE)
+        ) {
+          throw new QueryParserError(
+            `Missing value for column "${token.value}"`,
+            token.position
+          );
+        }
+        const range =
+          valueToken.type === TOKEN_TYPES.WORD &&
+          valueToken.value.match(RANGE_PATTERN);
+        if (range) {
+          return this.createRange(
+            token.value,
+            range[1] ? { value: range[1], inclusive: true } : null,
+            range[2] ? { value: range[2], inclusive: true } : null,
+            valueToken.position
+          );
+        }
+        return this.createTerm(valueToken, token.value);
+      }
+      case TOKEN_TYPES.COMPARISON: {
+        const bound = {
+          value: token.value,
+          inclusive: token.operator.endsWith("="),
+        };
+        return token.operator.startsWith(">")
+          ? this.createRange(token.field, bound, null, token.position)
+          : this.createRange(token.field, null, bound, token.position);
+      }
+      case TOKEN_TYPES.WORD:
+      case TOKEN_TYPES.PHRASE:
+        return this.createTerm(token, null);
+      default:
+        throw new QueryParserError("Unexpected token", token.position);
+    }
+  }
+
+  createRange(field, lower, upper, position) {
+    if (!lower && !upper) {
+      throw new QueryParserError(
+        `Missing bounds for the range on column "${field}"`,
+        position
+      );
+    }
+    const parseBound = (bound) => {
+      if (!bound) {
+        return null;
+      }
+      const number = ValueParser.parseNumber(bound.value);
+      const period = ValueParser.parseDatePeriod(bound.value);
+      if (number === null && period === null) {
+        throw new QueryParserError(
+          `Invalid bound "${bound.value}", a number or a date is expected`,
+          position
+        );
+      }
+      return {
+        value: bound.value,
+        inclusive: bound.inclusive,
+        number,
+        date: period,
+      };
+    };
+    return {
+      type: "range",
+      field: field.toLowerCase(),
+      lower: parseBound(lower),
+      upper: parseBound(upper),
+    };
+  }
+
+  createTerm(token, field) {
+    const value = token.value.trim().toLowerCase();
+    if (value.length === 0) {
+      throw new QueryParserError("Empty quoted phrase", token.position);
+    }
+    return {
+      type: "term",
+      field: field ? field.toLowerCase() : null,
+      value,
+      phrase: token.type === TOKEN_TYPES.PHRASE,
+    };
+  }
+}
+
+const hasPositiveTerm = (node) => {
+  switch (node.type) {
+    case "term":
+    case "range":
+      return true;
+    case "not":
+      return false;
+    default:
+      return node.children.some(hasPositiveTerm);
+  }
+};
+
+const parse = (query) => {
+  if (typeof query !== "string") {
+    throw new QueryParserError("The query must be a string", 0);
+  }
+  return new Parser(query).parse();
+};
+
+// Combines several parsed queries (e.g. the filters of a table) into one
+const combine = (nodes, operator = "and") => {
+  if (nodes.length === 1) {
+    return nodes[0];
+  }
+  return { type: operator === "or" ? "or" : "and", children: nodes };
+};
+
+// Returns the term nodes of the query, with whether they are excluded, e.g.
+// to search the metadata with the same keywords
+const getTerms = (node, negated = false) => {
+  switch (node.type) {
+    case "term":
+      return [{ term: node, negated }];
+    case "range":
+      return [];
+    case "not":
+      return getTerms(node.child, !negated);
+    default:
+      return node.children.flatMap((c) => getTerms(c, negated));
+  }
+};
+
+// Splits a value into its lowercase words
+const splitWords = (value) => {
+  if (value === null || value === undefined) {
+    return [];
+  }
+  return String(value).toLowerCase().match(WORD_PATTERN) || [];
+};
+
+// Whether the words of a term are all in a value, or in a row for the
+// unscoped terms (like a match query on the values of a row), and are
+// consecutive for the phrases
+const wordsMatch = (term, tokens) => {
+  const termTokens = splitWords(term.value);
+  if (termTokens.length === 0) {
+    return false;
+  }
+  if (!term.phrase) {
+    return termTokens.every((t) => tokens.includes(t));
+  }
+  for (let i = 0; i + termTokens.length <= tokens.length; ++i) {
+    if (termTokens.every((t, j) => tokens[i + j] === t)) {
+      return true;
+    }
+  }
+  return false;
+};
+
+const termMatchesValue = (term, value, mode) => {
+  if (value === null || value === undefined) {
+    return false;
+  }
+  if (mode === MATCH_MODES.WORDS) {
+    return wordsMatch(term, splitWords(value));
+  }
+  return String(value).toLowerCase().includes(term.value);
+};
+
+const termMatchesField = (term, fieldName) => {
+  return !term.field || String(fieldName).toLowerCase() === term.field;
+};
+
+const getBounds = (node) => {
+  return [node.lower, node.upper].filter((b) => b);
+};
+
+// Returns the domain ("number" or "date") in which both bounds of a range
+// can be compared, or null
+const getRangeDomains = (node) => {
+  const bounds = getBounds(node);
+  const domains = [];
+  if (bounds.every((b) => b.number !== null)) {
+    domains.push("number");
+  }
+  if (bounds.every((b) => b.date !== null)) {
+    domains.push("date");
+  }
+  return domains;
+};
+
+// Returns the bounds of a range in one of its domains as {value, inclusive}
+// (or null for an open end). Dates are compared with the whole period of the
+// bounds, so that "date<=2019" includes December 2019 and "date>2019" starts
+// in 2020.
+const getDomainBounds = (node, domain) => {
+  const toBound = (bound, isLower) => {
+    if (!bound) {
+      return null;
+    }
+    if (domain === "number") {
+      return { value: bound.number, inclusive: bound.inclusive };
+    }
+    const useStart = isLower === bound.inclusive;
+    return {
+      value: useStart ? bound.date.start : bound.date.end,
+      inclusive: bound.inclusive,
+    };
+  };
+  return {
+    lower: toBound(node.lower, true),
+    upper: toBound(node.upper, false),
+  };
+};
+
+const isInRange = (node, value) => {
+  for (let domain of getRangeDomains(node)) {
+    const parsed =
+      domain === "number"
+        ? ValueParser.parseNumber(value)
+        : ValueParser.parseDate(value);
+    if (parsed === null) {
+      continue;
+    }
+    const { lower, upper } = getDomainBounds(node, domain);
+    return (
+      (!lower ||
+        (lower.inclusive ? parsed >= lower.value : parsed > lower.value)) &&
+      (!upper ||
+        (upper.inclusive ? parsed <= upper.value : parsed < upper.value))
+    );
+  }
+  return false;
+};
+
+// Evaluates the query against one row, returning whether the row matches and
+// the set of indexes of the columns which contributed to the match
+const evaluate = (node, fields, values, mode) => {
+  switch (node.type) {
+    case "term": {
+      const matched = new Set();
+      // The words of the unscoped terms may be in different values
+      if (mode === MATCH_MODES.WORDS && !node.field && !node.phrase) {
+        const valueTokens = values.map((v) => splitWords(v));
+        if (!wordsMatch(node, valueTokens.flat())) {
+          return { isMatch: false, matched };
+        }
+        const termTokens = splitWords(node.value);
+        valueTokens.forEach((tokens, i) => {
+          if (tokens.some((t) => termTokens.includes(t))) {
+            matched.add(i);
+          }
+        });
+        return { isMatch: true, matched };
+      }
+      for (let i = 0; i < values.length; ++i) {
+        if (
+          termMatchesField(node, fields[i]) &&
+          termMatchesValue(node, values[i], mode)
+        ) {
+          matched.add(i);
+        }
+      }
+      return { isMatch: matched.size > 0, matched };
+    }
+    case "range": {
+      const matched = new Set();
+      for (let i = 0; i < values.length; ++i) {
+        if (termMatchesField(node, fields[i]) && isInRange(node, values[i])) {
+          matched.add(i);
+        }
+      }
+      return { isMatch: matched.size > 0, matched };
+    }
+    case "not": {
+      const result = evaluate(node.child, fields, values, mode);
+      return { isMatch: !result.isMatch, matched: new Set() };
+    }
+    case "and": {
+      const matched = new Set();
+      for (let child of node.children) {
+        const result = evaluate(child, fields, values, mode);
+        if (!result.isMatch) {
+          return { isMatch: false, matched: new Set() };
+        }
+        result.matched.forEach((i) => matched.add(i));
+      }
+      return { isMatch: true, matched };
+    }
+    case "or": {
+      const matched = new Set();
+      let isMatch = false;
+      for (let child of node.children) {
+        const result = evaluate(child, fields, values, mode);
+        if (result.isMatch) {
+          isMatch = true;
+          result.matched.forEach((i) => matched.add(i));
+        }
+      }
+      return { isMatch, matched };
+    }
+    default:
+      throw new QueryParserError(`Unknown node type: ${node.type}`, 0);
+  }
+};
+
+const matchesRow = (node, fields, values, mode = MATCH_MODES.SUBSTRINGS) => {
+  return evaluate(node, fields, values, mode).isMatch;
+};
+
+// Returns the indexes of the columns whose values are matched by the query,
+// or an empty array if the row does not match the query as a whole
+const matchColumnIndexes = (
+  node,
+  fields,
+  values,
+  mode = MATCH_MODES.SUBSTRINGS
+) => {
+  const result = evaluate(node, fields, values, mode);
+  if (!result.isMatch) {
+    return [];
+  }
+  return [...result.matched].sort((a, b) => a - b);
+};
+
+const matchFields = (node, fields, values) => {
+  return matchColumnIndexes(node, fields, values).map((i) => fields[i]);
+};
+
+// Returns the [start, end) ranges of a cell value to highlight for the terms
+// and ranges of the query which apply to its column, sorted and merged. With
+// MATCH_MODES.WORDS, the words of the terms are highlighted.
+const getHighlights = (node, field, value, mode = MATCH_MODES.SUBSTRINGS) => {
+  if (value === null || value === undefined) {
+    return [];
+  }
+  const string = String(value);
+  const lowered = string.toLowerCase();
+  const ranges = [];
+  const collect = (n, negated) => {
+    switch (n.type) {
+      case "term":
+        if (negated || !termMatchesField(n, field)) {
+          return;
+        }
+        if (mode === MATCH_MODES.WORDS) {
+          const termTokens = splitWords(n.value);
+          for (let word of lowered.matchAll(WORD_PATTERN)) {
+            if (termTokens.includes(word[0])) {
+              ranges.push([word.index, word.index + word[0].length]);
+            }
+          }
+          return;
+        }
+        for (
+          let i = lowered.indexOf(n.value);
+          i !== -1;
+          i = lowered.indexOf(n.value, i + n.value.length)
+        ) {
+          ranges.push([i, i + n.value.length]);
+        }
+        return;
+      case "range":
+        if (!negated && termMatchesField(n, field) && isInRange(n, value)) {
+          ranges.push([0, string.length]);
+        }
+        return;
+      case "not":
+        return collect(n.child, !negated);
+      default:
+        n.children.forEach((c) => collect(c, negated));
+    }
+  };
+  collect(node, false);
+  ranges.sort((a, b) => a[0] - b[0]);
+  const merged = [];
+  for (let range of ranges) {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1]) {
+      last[1] = Math.max(last[1], range[1]);
+    } else {
+      merged.push([...range]);
+    }
+  }
+  return merged;
+};
+
+module.exports = {
+  QueryParserError,
+  MATCH_MODES,
+  parse,
+  splitWords,
+  combine,
+  getTerms,
+  getRangeDomains,
+  getDomainBounds,
+  matchesRow,
+  matchColumnIndexes,
+  matchFields,
+  getHighlights,
+};
@@ -0,0 +1,155 @@
+import axios from "axios";
+const DuckDBQueryBuilder = require("./DuckDBQueryBuilder");
+const WORKING_TABLE_NAME = "__work";
+
+// Computes the working table with DuckDB on the server (see
+// server/WorkingTable.js), with the same methods as DuckDB.js for the
+// working tables too large for DuckDB-wasm. The working table is not stored
+// by the server, each request sends its plan.
+class ServerDuckDB {
+  constructor() {
+    this.plan = null;
+    this.fileSizes = {};
+  }
+
+  // The server reads the schemas of the tables, so the histories are sent
+  // with the ids of the tables and the columns of the joins only
+  createPlan(histories, keywords, sortConfig, focusedIds) {
+    return {
+      histories: histories.map((h) => {
+        const joinedTables = {};
+        for (let uuid in h.joinedTables) {
+          const j = h.joinedTables[uuid];
+          joinedTables[uuid] = {
+            sourceKey: j.sourceKey,
+            targetKey: j.targetKey,
+            columns: j.columns,
+          };
+        }
+        return {
+          table: { id: h.table.id },
+          resourceStats: { uuid: h.resourceStats.uuid },
+          joinedTables,
+        };
+      }),
+      keywords: keywords || [],
+      sortConfig: sortConfig && sortConfig.key ? sortConfig : null,
+      focusedIds: focusedIds ? [...focusedIds] : null,
+    };
+  }
+
+  // Sends a request about the working table, with the error of the server
+  // as the error message
+  async post(path, body) {
+    return axios
+      .post(`/api/workingtable/${path}`, { plan: this.plan, ...body })
+      .then((res) => res.data)
+      .catch((err) => {
+        const data = err.response && err.response.data;
+        throw new Error(data && data.error ? data.error : err.message);
+      });
+  }
+
+  // Returns the sum of the sizes of the CSV files of the tables
+  async getEstimatedSize(uuids) {
+    const missing = uuids.filter((uuid) => !(uuid in this.fileSizes));
+    if (missing.length > 0) {
+      const { sizes } = await axios
+        .get(`/api/workingtable/sizes?uuids=${missing.join(",")}`)
+        .then((res) => res.data);
+      Object.assign(this.fileSizes, sizes);
+    }
+    return uuids.reduce((size, uuid) => size + this.fileSizes[uuid], 0);
+  }
+
+  async createWorkingTable(
+    histories,
+    keywords = null,
+    sortConfig = null,
+    focusedIds = null
+  ) {
+    // The query is built to check the keywords before sending them
+    const { columnsMapping, workingTableColumns } =
+      DuckDBQueryBuilder.createWorkingTableQuery(
+        histories,
+        keywords,
+        sortConfig,
+        focusedIds
+      );
+    this.plan = this.createPlan(histories, keywords, sortConfig, focusedIds);
+    return {
+      viewName: WORKING_TABLE_NAME,
+      columnsMapping,
+      workingTableColumns,
+    };
+  }
+
+  async getRows(tableId, pageIndex, pageSize) {
+    const { rows } = await this.post("rows", { pageIndex, pageSize });
+    return rows;
+  }
+
+  async getTotalCount() {
+    const { count } = await this.post("count");
+    return count;
+  }
+
+  async resetWorkingTable() {
+    this.plan = null;
+  }
+
+  async getWorkingTableFirstRowOffset(componentIds) {
+    const { offset } = await this.post("offset", {
+      componentIds: [...componentIds],
+    });
+    return offset;
+  }
+
+  async getOriginalRowIdsForJoinedTable(
+    mainTableId,
+    tableId,
+    sourceKeyIndex,
+    targetKeyIndex,
+    targetIndex,
+    mainTableRowId
+  ) {
+    const { rows } = await this.post("joinedrows", {
+      mainTableId,
+      tableId,
+      sourceKeyIndex,
+      targetKeyIndex,
+      targetIndex,
+      rowId: Number(mainTableRowId),
+    });
+    return rows;
+  }
+
+  // The CSV file is streamed by the server, and downloaded by submitting a
+  // form so that it is not buffered in the browser. The server writes the
+  // names of the columns as the header.
+  async dumpCsv(tableId, header, columnIndexes, name = "table") {
+    const form = document.createElement("form");
+    form.method = "POST";
+    form.action = "/api/workingtable/csv";
+    form.style.display = "none";
+    const fields = {
+      plan: JSON.stringify(this.plan),
+      columns: JSON.stringify(columnIndexes),
+      name,
+    };
+    for (let k in fields) {
+      const input = document.createElement("input");
+      input.type = "hidden";
+      input.name = k;
+      input.value = fields[k];
+      form.appendChild(input);
+    }
+    document.body.appendChild(form);
+    form.submit();
+    document.body.removeChild(form);
+  }
+}
+
+// Singleton instance
+const instance = new ServerDuckDB();
+export default instance;
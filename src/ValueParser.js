@@ -0,0 +1,177 @@
+// Conversion of raw CSV values into typed values according to the types
+// inferred by tableschema. Shared by the indexer, the search server and the
+// frontend so that range predicates are evaluated the same way everywhere.
+const moment = require("moment");
+
+const MISSING_VALUES = new Set([
+  "",
+  "nan",
+  "null",
+  "n/a",
+  "n/d",
+  "-",
+  "...",
+  "(n/a)",
+]);
+const TRUE_VALUES = new Set(["1", "true"]);
+const FALSE_VALUES = new Set(["0", "false"]);
+
+const NUMERIC_TYPES = new Set(["number", "integer", "year"]);
+const DATE_TYPES = new Set(["date", "datetime", "year", "yearmonth"]);
+
+const DATE_FORMATS = [
+  "YYYY-MM-DD",
+  "YYYY-MM",
+  "YYYY",
+  "YYYY-MM-DD HH:mm:ss",
+  "YYYY-MM-DD HH:mm",
+  "YYYY/MM/DD",
+  "DD/MM/YYYY",
+  "D/M/YYYY",
+  moment.ISO_8601,
+];
+
+const STRICT_NUMBER_PATTERN = /^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i;
+
+const isMissingValue = (value) => {
+  return (
+    value === null ||
+    value === undefined ||
+    MISSING_VALUES.has(String(value).trim().toLowerCase())
+  );
+};
+
+// Lenient parsing used for the columns inferred as numeric, where everything
+// except the digits, the decimal point and a leading sign is dropped
+const parseNumericalValue = (string) => {
+  const allowedValues = new Set(
+    Array.from(Array(10).keys()).map((a) => String(a))
+  );
+  allowedValues.add(".");
+  const trimmed = String(string).trim();
+  const digits = Array.from(trimmed).filter((e) => allowedValues.has(e));
+  const parsed = Number.parseFloat(digits.join(""));
+  return trimmed.startsWith("-") ? -parsed : parsed;
+};
+
+// Strict parsing used when the type of the value is unknown, only thousands
+// separators, currency and percent signs are ignored
+const parseNumber = (value) => {
+  if (typeof value === "number") {
+    return Number.isFinite(value) ? value : null;
+  }
+  if (value === null || value === undefined || typeof value === "boolean") {
+    return null;
+  }
+  const cleaned = String(value).replace(/[,$%\s]/g, "");
+  if (!STRICT_NUMBER_PATTERN.test(cleaned)) {
+    return null;
+  }
+  return Number.parseFloat(cleaned);
+};
+
+// Returns the date as milliseconds since epoch (UTC), or null
+const parseDate = (value) => {
+  if (value === null || value === undefined || typeof value === "boolean") {
+    return null;
+  }
+  const string = String(value).trim();
+  // Plain numbers other than years are not dates
+  if (/^\d+$/.test(string) && string.length !== 4) {
+    return null;
+  }
+  const parsed = moment.utc(string, DATE_FORMATS, true);
+  return parsed.isValid() ? parsed.valueOf() : null;
+};
+
+// Returns the first and last millisecond of the period denoted by a date
+// (e.g. a whole year for "2019"), or null, used for the bounds of ranges
+const parseDatePeriod = (value) => {
+  const string = String(value).trim();
+  const start = parseDate(string);
+  if (start === null) {
+    return null;
+  }
+  let unit = null;
+  if (/^\d{4}$/.test(string)) {
+    unit = "year";
+  } else if (/^\d{4}-\d{1,2}$/.test(string)) {
+    unit = "month";
+  } else if (!/[T\s]\d/.test(string)) {
+    unit = "day";
+  }
+  const end = unit
+    ? moment.utc(start).add(1, unit).subtract(1, "ms").valueOf()
+    : start;
+  return { start, end };
+};
+
+const parseBoolean = (value) => {
+  const lowered = String(value).trim().toLowerCase();
+  if (TRUE_VALUES.has(lowered)) {
+    return true;
+  }
+  if (FALSE_VALUES.has(lowered)) {
+    return false;
+  }
+  return null;
+};
+
+// Returns the value converted to the given schema type, which is stored in
+// the `values` of the indexed rows
+const parseTypedValue = (rawValue, fieldType) => {
+  if (isMissingValue(rawValue)) {
+    return null;
+  }
+  if (fieldType === "number" || fieldType === "integer") {
+    return parseNumericalValue(rawValue);
+  }
+  if (fieldType === "boolean") {
+    return parseBoolean(rawValue);
+  }
+  return rawValue;
+};
+
+// Returns the typed copies of a value which can be used for range queries
+const parseTypedCopies = (rawValue, fieldType) => {
+  const copies = {};
+  if (isMissingValue(rawValue)) {
+    return copies;
+  }
+  if (NUMERIC_TYPES.has(fieldType)) {
+    const number =
+      fieldType === "year"
+        ? parseNumber(rawValue)
+        : parseNumericalValue(rawValue);
+    if (Number.isFinite(number)) {
+      copies.number = number;
+    }
+  }
+  if (DATE_TYPES.has(fieldType)) {
+    const date = parseDate(rawValue);
+    if (date !== null) {
+      copies.date = date;
+    }
+  }
+  if (fieldType === "boolean") {
+    const boolean = parseBoolean(rawValue);
+    if (boolean !== null) {
+      copies.boolean = boolean;
+    }
+  }
+  return copies;
+};
+
+module.exports = {
+  MISSING_VALUES,
+  NUMERIC_TYPES,
+  DATE_TYPES,
+  isMissingValue,
+  parseNumericalValue,
+  parseNumber,
+  parseDate,
+  parseDatePeriod,
+  parseBoolean,
+  parseTypedValue,
+  parseTypedCopies,
+};
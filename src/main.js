@@ -15,6 +15,7 @@ import { VePagination } from "vue-easytable";
 import App from "./App.vue";
 import { store } from "./store/store";
 import SearchView from "./components/SearchView.vue";
+import SearchFacets from "./components/SearchFacets.vue";
 import DataTable from "./components/DataTable.vue";
 import DataTableTabs from "./components/DataTableTabs.vue";
 import ColumnStats from "./components/ColumnStats.vue";
@@ -29,8 +30,10 @@ import WorkingTableComponents from "./components/WorkingTableComponents.vue";
 import WorkingTableProvenanceModal from "./components/WorkingTableProvenanceModal.vue";
 import WorkingTableComponentTableItem from "./components/WorkingTableComponentTableItem.vue";
 import SettingsModal from "./components/SettingsModal.vue";
+import AdminView from "./components/AdminView.vue";
 
 Vue.component("search-view", SearchView);
+Vue.component("search-facets", SearchFacets);
 Vue.component("data-table", DataTable);
 Vue.component("data-table-tabs", DataTableTabs);
 Vue.component("column-stats", ColumnStats);
@@ -48,6 +51,7 @@ Vue.component(
   WorkingTableComponentTableItem
 );
 Vue.component("settings-modal", SettingsModal);
+Vue.component("admin-view", AdminView);
 
 Vue.use(VePagination);
 Vue.use(VueEasytable);
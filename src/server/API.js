@@ -5,6 +5,7 @@ const search = require("./Search");
 const inferredstats = require("./InferredStats");
 const inferredhistograms = require("./InferredHistograms");
 const csv = require("./Csv");
+const preview = require("./Preview");
 const plotlyplot = require("./PlotlyPlot");
 const dataset = require("./Dataset");
 const joinable = require("./Joinable");
@@ -14,11 +15,15 @@ const keyjoinscores = require("./KeyJoinScores");
 const datadictionaries = require("./DataDictionaries");
 const sharedhistories = require("./SharedHistories");
 const inferredcolumnstats = require("./InferredColumnStats");
+const querybyexample = require("./QueryByExample");
+const admin = require("./Admin");
+const workingtable = require("./WorkingTable");
 
 router.use("/search", search);
 router.use("/inferredstats", inferredstats);
 router.use("/inferredhistograms", inferredhistograms);
 router.use("/csv", csv);
+router.use("/preview", preview);
 router.use("/parquet", parquet);
 router.use("/plotlyplot", plotlyplot);
 router.use("/dataset", dataset);
@@ -28,6 +33,9 @@ router.use("/datadictionaries", datadictionaries);
 router.use("/unionable", unionable);
 router.use("/sharedhistories", sharedhistories);
 router.use("/inferredcolumnstats", inferredcolumnstats);
+router.use("/querybyexample", querybyexample);
+router.use("/admin", admin);
+router.use("/workingtable", workingtable);
 
 router.use((_, res) => {
   return res.sendStatus(501);
@@ -0,0 +1,439 @@
+// Administration of the ingestion of the resources, protected by the token of
+// the `admin` section of the config, sent as a bearer token. The routes are
+// disabled when no token is configured.
+const express = require("express");
+const crypto = require("crypto");
+const router = express.Router();
+const mongoUtil = require("./MongoUtil");
+const ParquetCache = require("./ParquetCache");
+const config = require("../../app.config.json");
+
+const METADATA_COLLECTION = "metadata";
+const DOWNLOADS_COLLECTION = "downloads";
+const PROCESSEDFILES_COLLECTION = "processedfiles";
+const KEYJOINSCORES_COLLECTION = "keyjoinscores";
+const INFERREDSTATS_COLLECTION = "inferredstats";
+
+const PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+const MAX_REQUEUE_SIZE = 1000;
+const PREWARM_SIZE = 20;
+const MAX_PREWARM_SIZE = 200;
+
+const STATUSES = ["searchable", "failed", "pending", "duplicate", "ignored"];
+
+// Keep in sync with utils/SearchCSVIndexer.js, where ELASTIC_FAILED is
+// INDEX_FAILED since the search providers are pluggable. It keeps its name
+// here for the consumers of the API.
+const INDEXER_ERROR_TYPES = {
+  PYTHON_FAILED: 1,
+  ELASTIC_FAILED: 2,
+  PARSER_FAILED: 3,
+  FILE_TOO_LARGE: 4,
+};
+// Keep in sync with utils/Pipeline.js
+const PIPELINE_STAGES = ["extract", "infer", "index", "histograms"];
+
+// The conditions on a resource joined with its download and processed file
+// for each type of error
+const ERROR_FILTERS = {
+  DOWNLOAD_FAILED: { "download.status": "failed" },
+};
+for (let [type, code] of Object.entries(INDEXER_ERROR_TYPES)) {
+  ERROR_FILTERS[type] = { "processed.error_code": code };
+}
+for (let stage of PIPELINE_STAGES) {
+  ERROR_FILTERS[`${stage.toUpperCase()}_FAILED`] = {
+    [`processed.stages.${stage}.status`]: "failed",
+  };
+}
+
+const isAuthorized = (req) => {
+  const header = req.get("Authorization") || "";
+  const given = Buffer.from(header.replace(/^Bearer\s+/i, ""));
+  const expected = Buffer.from(config.admin.token);
+  return (
+    given.length === expected.length && crypto.timingSafeEqual(given, expected)
+  );
+};
+
+router.use((req, res, next) => {
+  if (!config.admin || !config.admin.token) {
+    return res.sendStatus(404);
+  }
+  if (!isAuthorized(req)) {
+    return res.sendStatus(401);
+  }
+  return next();
+});
+
+const hasFailedStage = {
+  $in: [
+    "failed",
+    {
+      $map: {
+        input: { $objectToArray: { $ifNull: ["$processed.stages", {}] } },
+        in: "$$this.v.status",
+      },
+    },
+  ],
+};
+
+// Returns the resources of the matched datasets with their download, their
+// processed file and their status: searchable once indexed, failed if any
+// step failed, pending if downloaded or extracted and not indexed yet,
+// duplicate if processed as another resource with the same content, and
+// ignored if not downloaded (e.g. the formats other than tables)
+const getResourcesPipeline = (datasetFilter) => {
+  return [
+    { $match: datasetFilter },
+    { $unwind: "$resources" },
+    {
+      $project: {
+        _id: 0,
+        uuid: "$resources.id",
+        name: "$resources.name",
+        format: "$resources.format",
+        parent_id: "$resources.parent_id",
+        dataset_id: "$id",
+        dataset_title: "$title",
+        organization: "$organization.title",
+        portal: "$portal",
+      },
+    },
+    {
+      $lookup: {
+        from: DOWNLOADS_COLLECTION,
+        localField: "uuid",
+        foreignField: "uuid",
+        as: "download",
+      },
+    },
+    {
+      $lookup: {
+        from: PROCESSEDFILES_COLLECTION,
+        localField: "uuid",
+        foreignField: "uuid",
+        as: "processed",
+      },
+    },
+    {
+      $addFields: {
+        download: { $arrayElemAt: ["$download", 0] },
+        processed: { $arrayElemAt: ["$processed", 0] },
+      },
+    },
+    {
+      $addFields: {
+        status: {
+          $switch: {
+            branches: [
+              {
+                case: {
+                  $and: [
+                    { $gt: ["$download.canonical_uuid", null] },
+                    { $ne: ["$download.canonical_uuid", "$uuid"] },
+                  ],
+                },
+                then: "duplicate",
+              },
+              {
+                case: {
+                  $or: [
+                    { $eq: ["$download.status", "failed"] },
+                    { $eq: ["$processed.success", false] },
+                    hasFailedStage,
+                  ],
+                },
+                then: "failed",
+              },
+              {
+                case: {
+                  $and: [
+                    { $eq: ["$processed.success", true] },
+                    { $ne: ["$processed.stale", true] },
+                  ],
+                },
+                then: "searchable",
+              },
+              {
+                case: {
+                  $or: [
+                    { $eq: ["$download.status", "success"] },
+                    { $gt: ["$parent_id", null] },
+                    { $gt: ["$processed", null] },
+                  ],
+                },
+                then: "pending",
+              },
+            ],
+            default: "ignored",
+          },
+        },
+      },
+    },
+  ];
+};
+
+// The datasets selected by the `portal`, `dataset` and `organization`
+// parameters, or null if any of them is not a string (e.g. `portal[$ne]`)
+const DATASET_FILTER_FIELDS = {
+  portal: "portal",
+  dataset: "id",
+  organization: "organization.title",
+};
+const getDatasetFilter = (query) => {
+  const filter = {};
+  for (let [param, field] of Object.entries(DATASET_FILTER_FIELDS)) {
+    if (query[param] === undefined || query[param] === "") {
+      continue;
+    }
+    if (typeof query[param] !== "string") {
+      return null;
+    }
+    filter[field] = query[param];
+  }
+  return filter;
+};
+
+// The errors of a resource, with their messages when recorded
+const getErrors = (resource) => {
+  const errors = [];
+  const download = resource.download || {};
+  const processed = resource.processed || {};
+  if (download.status === "failed") {
+    errors.push({ type: "DOWNLOAD_FAILED", message: download.reason });
+  }
+  for (let [type, code] of Object.entries(INDEXER_ERROR_TYPES)) {
+    if (processed.error_code === code) {
+      errors.push({ type, message: null });
+    }
+  }
+  for (let [stage, state] of Object.entries(processed.stages || {})) {
+    if (state.status === "failed") {
+      errors.push({
+        type: `${stage.toUpperCase()}_FAILED`,
+        message: state.error,
+      });
+    }
+  }
+  return errors;
+};
+
+// The tables are joinable once the scores of their key columns are computed
+const findJoinableUUIDs = async (db, uuids) => {
+  const joinable = new Set();
+  for (let field of ["query_uuid", "target_uuid"]) {
+    const filter = uuids ? { [field]: { $in: uuids } } : {};
+    const found = await db
+      .collection(KEYJOINSCORES_COLLECTION)
+      .distinct(field, filter);
+    found.forEach((u) => joinable.add(u));
+  }
+  return joinable;
+};
+
+router.get("/ingestion", async (req, res) => {
+  const db = await mongoUtil.getDb();
+  let pageSize = Number.parseInt(req.query.page_size);
+  if (Number.isNaN(pageSize)) {
+    pageSize = PAGE_SIZE;
+  }
+  const page = req.query.page ? Number.parseInt(req.query.page) : 0;
+  if (pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+    return res.sendStatus(400);
+  }
+  if (Number.isNaN(page) || page < 0) {
+    return res.sendStatus(400);
+  }
+  const status = req.query.status;
+  if (status && !STATUSES.includes(status)) {
+    return res.sendStatus(400);
+  }
+  const error = req.query.error;
+  if (
+    error &&
+    (typeof error !== "string" ||
+      !Object.prototype.hasOwnProperty.call(ERROR_FILTERS, error))
+  ) {
+    return res.sendStatus(400);
+  }
+  const datasetFilter = getDatasetFilter(req.query);
+  if (!datasetFilter) {
+    return res.sendStatus(400);
+  }
+  const filter = {};
+  if (status) {
+    filter.status = status;
+  }
+  if (error) {
+    Object.assign(filter, ERROR_FILTERS[error]);
+  }
+  const [result] = await db
+    .collection(METADATA_COLLECTION)
+    .aggregate(
+      [
+        ...getResourcesPipeline(datasetFilter),
+        { $match: filter },
+        { $sort: { dataset_id: 1, uuid: 1 } },
+        {
+          $facet: {
+            total: [{ $count: "count" }],
+            resources: [{ $skip: page * pageSize }, { $limit: pageSize }],
+          },
+        },
+      ],
+      { allowDiskUse: true }
+    )
+    .toArray();
+  const joinableUUIDs = await findJoinableUUIDs(
+    db,
+    result.resources.map((r) => r.uuid)
+  );
+  return res.send({
+    total: result.total.length > 0 ? result.total[0].count : 0,
+    resources: result.resources.map((r) => {
+      return {
+        uuid: r.uuid,
+        name: r.name,
+        format: r.format,
+        dataset_id: r.dataset_id,
+        dataset_title: r.dataset_title,
+        organization: r.organization,
+        portal: r.portal,
+        status: r.status,
+        joinable: joinableUUIDs.has(r.uuid),
+        errors: getErrors(r),
+        downloaded_at: r.download ? r.download.updated_at : null,
+        canonical_uuid: r.download ? r.download.canonical_uuid : null,
+      };
+    }),
+  });
+});
+
+// Counts the resources of each portal by status, and the joinable ones
+router.get("/ingestion/coverage", async (req, res) => {
+  const db = await mongoUtil.getDb();
+  const datasetFilter = getDatasetFilter(req.query);
+  if (!datasetFilter) {
+    return res.sendStatus(400);
+  }
+  const counts = await db
+    .collection(METADATA_COLLECTION)
+    .aggregate(
+      [
+        ...getResourcesPipeline(datasetFilter),
+        {
+          $group: {
+            _id: { portal: "$portal", status: "$status" },
+            count: { $sum: 1 },
+          },
+        },
+      ],
+      { allowDiskUse: true }
+    )
+    .toArray();
+  const joinableUUIDs = await findJoinableUUIDs(db);
+  const joinableCounts = await db
+    .collection(METADATA_COLLECTION)
+    .aggregate([
+      { $match: datasetFilter },
+      { $unwind: "$resources" },
+      { $match: { "resources.id": { $in: [...joinableUUIDs] } } },
+      { $group: { _id: { portal: "$portal" }, count: { $sum: 1 } } },
+    ])
+    .toArray();
+  const portals = {};
+  const getCoverage = (portalId) => {
+    if (!portals[portalId]) {
+      const portal = config.portals.find((p) => p.id === portalId);
+      portals[portalId] = {
+        portal: portalId,
+        siteName: portal ? portal.siteName : portalId,
+        total: 0,
+        joinable: 0,
+      };
+      STATUSES.forEach((status) => (portals[portalId][status] = 0));
+    }
+    return portals[portalId];
+  };
+  config.portals.forEach((portal) => getCoverage(portal.id));
+  for (let c of counts) {
+    const coverage = getCoverage(c._id.portal || config.portals[0].id);
+    coverage[c._id.status] += c.count;
+    coverage.total += c.count;
+  }
+  for (let c of joinableCounts) {
+    getCoverage(c._id.portal || config.portals[0].id).joinable += c.count;
+  }
+  return res.send({
+    portals: Object.values(portals),
+    statuses: STATUSES,
+    errorTypes: Object.keys(ERROR_FILTERS),
+  });
+});
+
+// Queues resources for the next run of the pipeline: their failed downloads
+// are retried, and their processed files are marked as stale, so that all
+// their stages run again
+router.post("/ingestion/requeue", async (req, res) => {
+  const uuids = req.body && req.body.uuids;
+  if (
+    !Array.isArray(uuids) ||
+    uuids.length === 0 ||
+    uuids.length > MAX_REQUEUE_SIZE ||
+    uuids.some((u) => typeof u !== "string")
+  ) {
+    return res.sendStatus(400);
+  }
+  const db = await mongoUtil.getDb();
+  const downloads = await db
+    .collection(DOWNLOADS_COLLECTION)
+    .updateMany(
+      { uuid: { $in: uuids }, status: "failed" },
+      { $set: { status: "queued", updated_at: new Date() } }
+    );
+  const processed = await db
+    .collection(PROCESSEDFILES_COLLECTION)
+    .updateMany(
+      { uuid: { $in: uuids } },
+      { $set: { stale: true }, $unset: { checkpoint: "" } }
+    );
+  return res.send({
+    downloads: downloads.modifiedCount,
+    processedfiles: processed.modifiedCount,
+  });
+});
+
+// Converts the Parquet files of the given tables, or by default of the most
+// requested tables which are not cached, in the background. Returns the
+// uuids of the tables being converted.
+router.post("/parquet/prewarm", async (req, res) => {
+  const body = req.body || {};
+  let uuids = body.uuids;
+  const limit = body.limit === undefined ? PREWARM_SIZE : body.limit;
+  if (
+    uuids !== undefined &&
+    (!Array.isArray(uuids) ||
+      uuids.length === 0 ||
+      uuids.length > MAX_PREWARM_SIZE ||
+      uuids.some((u) => typeof u !== "string"))
+  ) {
+    return res.sendStatus(400);
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PREWARM_SIZE) {
+    return res.sendStatus(400);
+  }
+  if (!uuids) {
+    uuids = await ParquetCache.findPopularUUIDs(limit);
+  }
+  const db = await mongoUtil.getDb();
+  const statsList = await db
+    .collection(INFERREDSTATS_COLLECTION)
+    .find({ uuid: { $in: uuids } })
+    .toArray();
+  ParquetCache.prewarm(statsList);
+  return res.status(202).send({ uuids: statsList.map((s) => s.uuid) });
+});
+
+module.exports = router;
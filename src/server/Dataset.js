@@ -1,16 +1,32 @@
 const express = require("express");
 const router = express.Router();
 const mongoUtil = require("./MongoUtil");
+const Facets = require("./Facets");
 
 const COLLECTION = "metadata";
 const INFERREDSTATS_COLLECTION = "inferredstats";
 
+// The same dataset id may be published by several portals, the `portal`
+// parameter selects the dataset of one of them
+const parsePortalMatch = (portal) => {
+  const filters = Facets.parseFilters(null, portal);
+  return Facets.createFiltersMatch(filters);
+};
+
 router.get("/:uuid", async (req, res) => {
   const db = await mongoUtil.getDb();
   const csvOnly = req.query.csv_only;
 
   const uuid = req.params.uuid;
-  const found = await db.collection(COLLECTION).findOne({ id: uuid });
+  let portalMatch;
+  try {
+    portalMatch = parsePortalMatch(req.query.portal);
+  } catch (err) {
+    return res.sendStatus(400);
+  }
+  const found = await db
+    .collection(COLLECTION)
+    .findOne({ id: uuid, ...portalMatch });
 
   if (!found) {
     return res.sendStatus(404);
@@ -38,9 +54,15 @@ router.get("/:uuid", async (req, res) => {
 router.get("/", async (req, res) => {
   const db = await mongoUtil.getDb();
   const resourceId = req.query.resource_id;
+  let portalMatch;
+  try {
+    portalMatch = parsePortalMatch(req.query.portal);
+  } catch (err) {
+    return res.sendStatus(400);
+  }
   const found = await db
     .collection(COLLECTION)
-    .findOne({ "resources.id": resourceId });
+    .findOne({ "resources.id": resourceId, ...portalMatch });
 
   if (!found) {
     return res.sendStatus(404);
@@ -0,0 +1,155 @@
+// The resources whose downloaded files have the same content (the same
+// SHA-256) are duplicates of the one with the smallest id, their canonical
+// resource. Only the canonical resources are processed, and the search
+// results and the join suggestions list everywhere each of them is published.
+const DOWNLOADS_COLLECTION = "downloads";
+const DERIVED_COLLECTION = "derivedresources";
+
+// Links the successful downloads with the same content to their canonical
+// resource, and unlinks those which are no longer duplicated. Returns the
+// number of duplicates.
+const linkDuplicates = async (db) => {
+  const downloads = db.collection(DOWNLOADS_COLLECTION);
+  const groups = await downloads
+    .aggregate(
+      [
+        { $match: { status: "success", sha256: { $type: "string" } } },
+        { $group: { _id: "$sha256", uuids: { $push: "$uuid" } } },
+        { $match: { "uuids.1": { $exists: true } } },
+      ],
+      { allowDiskUse: true }
+    )
+    .toArray();
+  const linked = [];
+  for (let group of groups) {
+    const uuids = group.uuids.sort();
+    await downloads.updateMany(
+      { uuid: { $in: uuids } },
+      { $set: { canonical_uuid: uuids[0] } }
+    );
+    linked.push(...uuids);
+  }
+  await downloads.updateMany(
+    { canonical_uuid: { $exists: true }, uuid: { $nin: linked } },
+    { $unset: { canonical_uuid: "" } }
+  );
+  return linked.length - groups.length;
+};
+
+// Returns the canonical ids of the given resources which are duplicates
+const getCanonicalIds = async (db, uuids) => {
+  const found = await db
+    .collection(DOWNLOADS_COLLECTION)
+    .find(
+      {
+        uuid: { $in: uuids },
+        canonical_uuid: { $exists: true },
+        $expr: { $ne: ["$uuid", "$canonical_uuid"] },
+      },
+      { projection: { _id: false, uuid: true, canonical_uuid: true } }
+    )
+    .toArray();
+  return new Map(found.map((d) => [d.uuid, d.canonical_uuid]));
+};
+
+// Returns the ids of all the duplicates, including the resources extracted
+// from them (e.g. the files of a duplicate archive), which are not processed
+const findDuplicateIds = async (db) => {
+  const duplicates = new Set(
+    (
+      await db
+        .collection(DOWNLOADS_COLLECTION)
+        .find(
+          {
+            canonical_uuid: { $exists: true },
+            $expr: { $ne: ["$uuid", "$canonical_uuid"] },
+          },
+          { projection: { _id: false, uuid: true } }
+        )
+        .toArray()
+    ).map((d) => d.uuid)
+  );
+  let parents = [...duplicates];
+  while (parents.length > 0) {
+    const children = await db
+      .collection(DERIVED_COLLECTION)
+      .distinct("id", { parent_id: { $in: parents } });
+    parents = children.filter((id) => !duplicates.has(id));
+    parents.forEach((id) => duplicates.add(id));
+  }
+  return duplicates;
+};
+
+// Returns the places where the given canonical resources are published, by
+// canonical id, for those which have duplicates
+const getPublications = async (db, uuids) => {
+  const copies = await db
+    .collection(DOWNLOADS_COLLECTION)
+    .find(
+      { canonical_uuid: { $in: uuids } },
+      { projection: { _id: false, uuid: true, canonical_uuid: true } }
+    )
+    .toArray();
+  if (copies.length === 0) {
+    return {};
+  }
+  const canonicalIds = {};
+  copies.forEach((c) => (canonicalIds[c.uuid] = c.canonical_uuid));
+  const copyIds = Object.keys(canonicalIds);
+  const found = await db
+    .collection("metadata")
+    .aggregate([
+      { $match: { "resources.id": { $in: copyIds } } },
+      { $unwind: "$resources" },
+      { $match: { "resources.id": { $in: copyIds } } },
+      {
+        $project: {
+          _id: false,
+          resource_id: "$resources.id",
+          resource_name: "$resources.name",
+          dataset_id: "$id",
+          dataset_title: "$title",
+          portal: "$portal",
+        },
+      },
+      { $sort: { dataset_title: 1, resource_id: 1 } },
+    ])
+    .toArray();
+  const publications = {};
+  for (let p of found) {
+    const canonicalId = canonicalIds[p.resource_id];
+    publications[canonicalId] = publications[canonicalId] || [];
+    publications[canonicalId].push(p);
+  }
+  return publications;
+};
+
+// Adds to the resources which have duplicates the list of the places where
+// they are published (`published_in`), their own place included
+const annotateResources = async (db, resources) => {
+  const publications = await getPublications(
+    db,
+    resources.map((r) => r.id)
+  );
+  for (let r of resources) {
+    if (publications[r.id]) {
+      r.published_in = publications[r.id];
+    }
+  }
+};
+
+const annotateDatasets = async (db, datasets) => {
+  await annotateResources(
+    db,
+    datasets.flatMap((d) => d.resources || [])
+  );
+};
+
+module.exports = {
+  linkDuplicates,
+  getCanonicalIds,
+  findDuplicateIds,
+  getPublications,
+  annotateResources,
+  annotateDatasets,
+};
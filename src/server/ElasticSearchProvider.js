@@ -0,0 +1,524 @@
+// Search provider backed by an Elasticsearch 7 index, the rows being ordered
+// and grouped by table with composite aggregations in a point in time.
+// The index is versioned (`<index>_v<timestamp>`): the searches read the
+// published version through the `<index>` alias, and the rows are written
+// through the `<index>_write` alias, so that a new version can be built while
+// the previous one is searched.
+const ElasticClient = require("@elastic/elasticsearch").Client;
+const config = require("../../app.config.json");
+const QueryParser = require("../QueryParser");
+const { SearchProvider, SessionExpiredError } = require("./SearchProvider");
+
+// Hits are fetched in batches with search_after
+const HITS_BATCH_SIZE = 1000;
+const PIT_KEEP_ALIVE = "5m";
+// The matched tables are counted by pages of composite buckets
+const TABLE_COUNT_PAGE_SIZE = 10000;
+// The rows rejected because the cluster is overloaded are indexed again
+const MAX_BULK_ATTEMPTS = 4;
+const BULK_RETRY_BASE_DELAY_MS = 1000;
+const TOO_MANY_REQUESTS = 429;
+
+// Sortable and valid in the names of the indices, e.g. 20240131235959
+const getTimestamp = () => {
+  return new Date()
+    .toISOString()
+    .replace(/[^0-9]/g, "")
+    .slice(0, 14);
+};
+
+const sleep = (ms) => {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+};
+
+const toElasticValueQuery = (term, field) => {
+  return term.phrase
+    ? { match_phrase: { [field]: term.value } }
+    : { match: { [field]: { query: term.value, operator: "and" } } };
+};
+
+const toElasticRangeQuery = (node) => {
+  const should = QueryParser.getRangeDomains(node).map((domain) => {
+    const { lower, upper } = QueryParser.getDomainBounds(node, domain);
+    const range = {};
+    if (lower) {
+      range[lower.inclusive ? "gte" : "gt"] = lower.value;
+    }
+    if (upper) {
+      range[upper.inclusive ? "lte" : "lt"] = upper.value;
+    }
+    return { range: { [`cells.${domain}`]: range } };
+  });
+  return { bool: { should, minimum_should_match: 1 } };
+};
+
+// Matches rows having a cell of the given field which matches the query
+const toElasticCellQuery = (field, query) => {
+  return {
+    nested: {
+      path: "cells",
+      query: {
+        bool: {
+          must: [{ term: { "cells.field": field } }, query],
+        },
+      },
+    },
+  };
+};
+
+// Translates a parsed query into an Elasticsearch query. Unscoped terms are
+// matched against all the values of a row, scoped terms and ranges against
+// the nested cells which keep the field names and the typed values together.
+const toElasticQuery = (node) => {
+  switch (node.type) {
+    case "term":
+      if (!node.field) {
+        return toElasticValueQuery(node, "values");
+      }
+      return toElasticCellQuery(
+        node.field,
+        toElasticValueQuery(node, "cells.value")
+      );
+    case "range":
+      return toElasticCellQuery(node.field, toElasticRangeQuery(node));
+    case "not":
+      return { bool: { must_not: [toElasticQuery(node.child)] } };
+    case "and":
+      return { bool: { must: node.children.map(toElasticQuery) } };
+    case "or":
+      return {
+        bool: {
+          should: node.children.map(toElasticQuery),
+          minimum_should_match: 1,
+        },
+      };
+  }
+};
+
+// Restricts the query to the given tables, if any
+const toFilteredQuery = (query, fileIds) => {
+  const elasticQuery = toElasticQuery(query);
+  if (!fileIds) {
+    return elasticQuery;
+  }
+  return {
+    bool: {
+      must: [elasticQuery],
+      filter: [{ terms: { file_id: fileIds } }],
+    },
+  };
+};
+
+class ElasticSearchProvider extends SearchProvider {
+  constructor() {
+    super();
+    const options = { node: config.elasticsearch.uri };
+    if (config.elasticsearch.token) {
+      options.auth = { bearer: config.elasticsearch.token };
+    }
+    this.client = new ElasticClient(options);
+    this.index = config.elasticsearch.index;
+    this.writeAlias = `${this.index}_write`;
+  }
+
+  // The rows are written to the index itself if it predates the versions
+  async getWriteIndex() {
+    if (!this.writeIndex) {
+      const found = await this.client.indices.existsAlias({
+        name: this.writeAlias,
+      });
+      this.writeIndex = found.body ? this.writeAlias : this.index;
+    }
+    return this.writeIndex;
+  }
+
+  // An index created before the versions, named like the alias
+  async hasUnversionedIndex() {
+    const exists = await this.client.indices.exists({ index: this.index });
+    const isAlias = await this.client.indices.existsAlias({
+      name: this.index,
+    });
+    return exists.body && !isAlias.body;
+  }
+
+  async getIndexVersions() {
+    const found = (
+      await this.client.indices.getAlias({ index: `${this.index}_v*` })
+    ).body;
+    const versions = Object.keys(found).sort();
+    const findAlias = (alias) => {
+      return versions.find((v) => alias in found[v].aliases) || null;
+    };
+    return {
+      versions,
+      published: findAlias(this.index),
+      writing: findAlias(this.writeAlias),
+    };
+  }
+
+  async search(body) {
+    try {
+      return await this.client.search(
+        body.pit ? { body } : { index: this.index, body }
+      );
+    } catch (err) {
+      // The point in time of a cursor may have expired
+      if (body.pit && err.meta && err.meta.statusCode === 404) {
+        throw new SessionExpiredError("The point in time has expired");
+      }
+      throw err;
+    }
+  }
+
+  // The first version is published right away, unless an unversioned index
+  // is still searched
+  async createIndex() {
+    const version = `${this.index}_v${getTimestamp()}`;
+    await this.client.indices.create({
+      index: version,
+      body: {
+        settings: {
+          analysis: {
+            normalizer: {
+              lowercase: { type: "custom", filter: ["lowercase"] },
+            },
+          },
+        },
+        mappings: {
+          // The cells duplicate the values with their types, they are only
+          // needed for searching
+          _source: { excludes: ["cells"] },
+          properties: {
+            file_id: { type: "keyword" },
+            portal: { type: "keyword" },
+            row_number: { type: "long" },
+            tuple: { type: "flattened" },
+            fields: { type: "text" },
+            values: { type: "text" },
+            cells: {
+              type: "nested",
+              properties: {
+                field: { type: "keyword", normalizer: "lowercase" },
+                value: { type: "text" },
+                number: { type: "double" },
+                date: { type: "date", format: "epoch_millis" },
+                boolean: { type: "boolean" },
+              },
+            },
+          },
+        },
+      },
+    });
+    const { published, writing } = await this.getIndexVersions();
+    const actions = [{ add: { index: version, alias: this.writeAlias } }];
+    if (writing) {
+      actions.push({ remove: { index: writing, alias: this.writeAlias } });
+    }
+    if (!published && !(await this.hasUnversionedIndex())) {
+      actions.push({ add: { index: version, alias: this.index } });
+    }
+    await this.client.indices.updateAliases({ body: { actions } });
+    this.writeIndex = this.writeAlias;
+    return version;
+  }
+
+  // The unversioned index is replaced by the alias in the same update. The
+  // previously published version is kept for rollbacks, and the older ones
+  // are deleted.
+  async publishIndex() {
+    const { versions, published, writing } = await this.getIndexVersions();
+    if (!writing) {
+      throw new Error("No version of the index is being written");
+    }
+    if (writing === published) {
+      return { published, pruned: [] };
+    }
+    const actions = [{ add: { index: writing, alias: this.index } }];
+    if (published) {
+      actions.push({ remove: { index: published, alias: this.index } });
+    } else if (await this.hasUnversionedIndex()) {
+      actions.push({ remove_index: { index: this.index } });
+    }
+    await this.client.indices.updateAliases({ body: { actions } });
+    const pruned = versions.filter((v) => v < writing && v !== published);
+    for (let version of pruned) {
+      await this.client.indices.delete({ index: version });
+    }
+    return { published: writing, pruned };
+  }
+
+  // The rows are written to the previous version as well, a version being
+  // built is abandoned
+  async rollbackIndex() {
+    const { versions, published, writing } = await this.getIndexVersions();
+    const previous = versions.filter((v) => v < published).pop();
+    if (!previous) {
+      throw new Error("No previous version of the index to roll back to");
+    }
+    const actions = [
+      { remove: { index: published, alias: this.index } },
+      { add: { index: previous, alias: this.index } },
+      { add: { index: previous, alias: this.writeAlias } },
+    ];
+    if (writing && writing !== previous) {
+      actions.push({ remove: { index: writing, alias: this.writeAlias } });
+    }
+    await this.client.indices.updateAliases({ body: { actions } });
+    return { published: previous };
+  }
+
+  // Pages through the tables of the version being written
+  async countTableRows() {
+    const index = await this.getWriteIndex();
+    await this.client.indices.refresh({ index });
+    const counts = new Map();
+    let after;
+    do {
+      const composite = {
+        size: HITS_BATCH_SIZE,
+        sources: [{ file_id: { terms: { field: "file_id" } } }],
+      };
+      if (after) {
+        composite.after = after;
+      }
+      const found = await this.client.search({
+        index,
+        body: { size: 0, aggs: { tables: { composite } } },
+      });
+      const tables = found.body.aggregations.tables;
+      tables.buckets.forEach((b) => counts.set(b.key.file_id, b.doc_count));
+      after = tables.buckets.length > 0 ? tables.after_key : null;
+    } while (after);
+    return counts;
+  }
+
+  // The rows are visible to the searches after the next refresh of the index
+  async indexRows(rows) {
+    const failed = [];
+    let pending = rows;
+    for (let attempt = 1; pending.length > 0; ++attempt) {
+      const index = await this.getWriteIndex();
+      const body = pending.flatMap((doc) => [
+        { index: { _index: index } },
+        doc,
+      ]);
+      const result = (await this.client.bulk({ body })).body;
+      if (!result.errors) {
+        break;
+      }
+      const rejected = [];
+      result.items.forEach((item, i) => {
+        const { status, error } = item.index;
+        if (!error) {
+          return;
+        }
+        if (status === TOO_MANY_REQUESTS && attempt < MAX_BULK_ATTEMPTS) {
+          rejected.push(pending[i]);
+        } else {
+          failed.push({
+            row_number: pending[i].row_number,
+            reason: error.reason || error.type,
+          });
+        }
+      });
+      if (rejected.length > 0) {
+        await sleep(BULK_RETRY_BASE_DELAY_MS * 2 ** (attempt - 1));
+      }
+      pending = rejected;
+    }
+    return failed;
+  }
+
+  async deleteTable(fileId, after) {
+    const filter = [{ term: { file_id: fileId } }];
+    if (after !== undefined) {
+      filter.push({ range: { row_number: { gt: after } } });
+    }
+    await this.client.deleteByQuery({
+      index: await this.getWriteIndex(),
+      refresh: true,
+      body: { query: { bool: { filter } } },
+    });
+  }
+
+  async openSession() {
+    const result = await this.client.openPointInTime({
+      index: this.index,
+      keep_alive: PIT_KEEP_ALIVE,
+    });
+    return result.body.id;
+  }
+
+  async closeSession(session) {
+    try {
+      await this.client.closePointInTime({ body: { id: session } });
+    } catch (err) {
+      // ignore, the point in time expires by itself
+    }
+  }
+
+  // Counts the matched tables exactly by paging through their composite
+  // buckets, the cardinality aggregation being approximate
+  async countTables(query, { session, fileIds }) {
+    let count = 0;
+    let after = null;
+    do {
+      const body = {
+        size: 0,
+        query: toFilteredQuery(query, fileIds),
+        pit: { id: session, keep_alive: PIT_KEEP_ALIVE },
+        aggs: {
+          tables: {
+            composite: {
+              size: TABLE_COUNT_PAGE_SIZE,
+              sources: [{ file_id: { terms: { field: "file_id" } } }],
+            },
+          },
+        },
+      };
+      if (after) {
+        body.aggs.tables.composite.after = after;
+      }
+      const found = await this.search(body);
+      const tables = found.body.aggregations.tables;
+      session = found.body.pit_id;
+      count += tables.buckets.length;
+      after =
+        tables.buckets.length === TABLE_COUNT_PAGE_SIZE
+          ? tables.after_key
+          : null;
+    } while (after);
+    return { session, count };
+  }
+
+  async searchTablesPage(
+    query,
+    { session, after, pageSize, countTables, fileIds }
+  ) {
+    let tableCount = null;
+    if (countTables) {
+      ({ session, count: tableCount } = await this.countTables(query, {
+        session,
+        fileIds,
+      }));
+    }
+    const body = {
+      size: 0,
+      query: toFilteredQuery(query, fileIds),
+      pit: { id: session, keep_alive: PIT_KEEP_ALIVE },
+      aggs: {
+        tables: {
+          composite: {
+            size: pageSize,
+            sources: [{ file_id: { terms: { field: "file_id" } } }],
+          },
+        },
+      },
+    };
+    if (after) {
+      body.aggs.tables.composite.after = after;
+    }
+    const found = await this.search(body);
+    const tables = found.body.aggregations.tables;
+    return {
+      session: found.body.pit_id,
+      tables: tables.buckets.map((b) => {
+        return { fileId: b.key.file_id, count: b.doc_count };
+      }),
+      after: tables.after_key,
+      tableCount,
+    };
+  }
+
+  // Pages through the matched rows of a table with search_after
+  async searchFileRows(query, { session, fileId, maxRows }) {
+    const rows = [];
+    let searchAfter;
+    while (rows.length < maxRows) {
+      const body = {
+        size: Math.min(HITS_BATCH_SIZE, maxRows - rows.length),
+        query: toFilteredQuery(query, [fileId]),
+        pit: { id: session, keep_alive: PIT_KEEP_ALIVE },
+        sort: [{ row_number: "asc" }],
+        track_total_hits: false,
+      };
+      if (searchAfter) {
+        body.search_after = searchAfter;
+      }
+      const found = await this.search(body);
+      const batch = found.body.hits.hits;
+      rows.push(...batch.map((h) => h._source));
+      if (batch.length < body.size) {
+        break;
+      }
+      searchAfter = batch[batch.length - 1].sort;
+    }
+    return rows;
+  }
+
+  // The tables are searched one by one so that each gets its rows
+  async searchTableRows(query, { session, fileIds, maxRowsPerTable }) {
+    const rows = [];
+    for (let fileId of [...fileIds].sort()) {
+      rows.push(
+        ...(await this.searchFileRows(query, {
+          session,
+          fileId,
+          maxRows: maxRowsPerTable,
+        }))
+      );
+    }
+    return rows;
+  }
+
+  async searchMatchedFileIds(query, { session, limit }) {
+    const found = await this.search({
+      size: 0,
+      query: toFilteredQuery(query, null),
+      pit: { id: session, keep_alive: PIT_KEEP_ALIVE },
+      aggs: {
+        tables: {
+          terms: { field: "file_id", size: limit },
+        },
+      },
+    });
+    return {
+      session: found.body.pit_id,
+      fileIds: found.body.aggregations.tables.buckets.map((b) => b.key),
+    };
+  }
+
+  async searchTopTables(query, { limit, sampleSize, fileIds }) {
+    const found = await this.search({
+      size: 0,
+      query: toFilteredQuery(query, fileIds),
+      aggs: {
+        tables: {
+          terms: { field: "file_id", size: limit },
+          aggs: {
+            sample: {
+              top_hits: {
+                size: sampleSize,
+                sort: [{ row_number: "asc" }],
+                _source: ["file_id", "fields", "values", "row_number"],
+              },
+            },
+          },
+        },
+      },
+    });
+    return found.body.aggregations.tables.buckets.map((b) => {
+      return {
+        fileId: b.key,
+        count: b.doc_count,
+        rows: b.sample.hits.hits.map((h) => h._source),
+      };
+    });
+  }
+
+  async close() {
+    await this.client.close();
+  }
+}
+
+module.exports = ElasticSearchProvider;
@@ -0,0 +1,221 @@
+// Facets of the dataset search, configured in the `frontend.search.facets`
+// section of the config. A facet is either a "terms" facet counting the
+// datasets by the values of a metadata field, or a "date" facet counting the
+// datasets modified within the last days of each of its buckets.
+const config = require("../../app.config.json");
+
+const RESOURCES_PREFIX = "resources.";
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_FACET_SIZE = 20;
+// The filter of the `portal` parameter of the search routes, which is not a
+// facet
+const PORTAL_FILTER = "$portal";
+
+const getFacets = () => {
+  return (config.frontend.search && config.frontend.search.facets) || [];
+};
+
+// Facets on the fields of the resources filter the tables of the datasets
+// as well as the datasets themselves
+const isResourceFacet = (facet) => {
+  return facet.fieldName.startsWith(RESOURCES_PREFIX);
+};
+
+const getField = (object, field) => {
+  return field
+    .split(".")
+    .reduce((o, f) => (o === null || o === undefined ? o : o[f]), object);
+};
+
+const toDate = (fieldName) => {
+  return {
+    $convert: {
+      input: `$${fieldName}`,
+      to: "date",
+      onError: null,
+      onNull: null,
+    },
+  };
+};
+
+// Returns the start of the widest of the selected buckets of a date facet
+const getDateFilterStart = (facet, values) => {
+  const days = facet.buckets
+    .filter((b) => values.includes(b.value))
+    .map((b) => b.days);
+  return new Date(Date.now() - Math.max(...days) * DAY_IN_MS);
+};
+
+// Parses the `filters` query parameter, a JSON object mapping the names of
+// the facets to the selected values, and the `portal` parameter restricting
+// the datasets to a portal. Throws if either is malformed.
+const parseFilters = (filtersString, portal = null) => {
+  const parsed = {};
+  if (portal) {
+    if (!config.portals.some((p) => p.id === portal)) {
+      throw new Error("Invalid portal");
+    }
+    parsed[PORTAL_FILTER] = portal;
+  }
+  if (!filtersString) {
+    return parsed;
+  }
+  const filters = JSON.parse(filtersString);
+  if (typeof filters !== "object" || filters === null) {
+    throw new Error("Invalid filters");
+  }
+  const facetsDict = {};
+  getFacets().forEach((f) => (facetsDict[f.name] = f));
+  for (let name in filters) {
+    const facet = facetsDict[name];
+    const values = filters[name];
+    if (!facet || !Array.isArray(values)) {
+      throw new Error("Invalid filters");
+    }
+    if (values.length === 0) {
+      continue;
+    }
+    if (
+      facet.type === "date" &&
+      !values.every((v) => facet.buckets.some((b) => b.value === v))
+    ) {
+      throw new Error("Invalid filters");
+    }
+    parsed[name] = values.map((v) => String(v));
+  }
+  return parsed;
+};
+
+// The datasets imported before the portals were configured belong to the
+// first portal
+const createPortalMatch = (portal) => {
+  return {
+    portal: {
+      $in: portal === config.portals[0].id ? [portal, null] : [portal],
+    },
+  };
+};
+
+const createFacetMatch = (facet, values) => {
+  if (facet.type === "date") {
+    return {
+      $expr: {
+        $gte: [toDate(facet.fieldName), getDateFilterStart(facet, values)],
+      },
+    };
+  }
+  return { [facet.fieldName]: { $in: values } };
+};
+
+// Returns the condition on the metadata documents for the given filters,
+// ignoring the filter of the facet named `excludedName` if any
+const createFiltersMatch = (filters, excludedName = null) => {
+  const conditions = getFacets()
+    .filter((f) => f.name !== excludedName && filters[f.name])
+    .map((f) => createFacetMatch(f, filters[f.name]));
+  if (filters[PORTAL_FILTER]) {
+    conditions.push(createPortalMatch(filters[PORTAL_FILTER]));
+  }
+  return conditions.length > 0 ? { $and: conditions } : {};
+};
+
+// Returns whether a resource of a matched dataset satisfies the filters of
+// the facets on the resources fields
+const isResourceMatched = (resource, filters) => {
+  return getFacets()
+    .filter((f) => isResourceFacet(f) && f.type !== "date" && filters[f.name])
+    .every((f) =>
+      filters[f.name].includes(
+        String(getField(resource, f.fieldName.slice(RESOURCES_PREFIX.length)))
+      )
+    );
+};
+
+const createTermsFacetPipeline = (facet) => {
+  return [
+    { $project: { value: `$${facet.fieldName}` } },
+    { $unwind: { path: "$value", preserveNullAndEmptyArrays: false } },
+    // A dataset is counted once even if several of its resources match
+    { $group: { _id: { dataset: "$_id", value: "$value" } } },
+    { $group: { _id: "$_id.value", count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+    { $limit: facet.size || DEFAULT_FACET_SIZE },
+    { $project: { _id: false, value: "$_id", count: "$count" } },
+  ];
+};
+
+const createDateFacetPipeline = (facet) => {
+  const group = { _id: null };
+  for (let bucket of facet.buckets) {
+    const start = new Date(Date.now() - bucket.days * DAY_IN_MS);
+    group[bucket.value] = {
+      $sum: { $cond: [{ $gte: ["$date", start] }, 1, 0] },
+    };
+  }
+  return [{ $project: { date: toDate(facet.fieldName) } }, { $group: group }];
+};
+
+// Returns the counts of the values of every facet for the datasets matching
+// `match`. The counts of a facet take into account the filters of the other
+// facets only, so that other values of the same facet can still be selected.
+const computeFacets = async (db, match, filters) => {
+  const facets = getFacets();
+  if (facets.length === 0) {
+    return {};
+  }
+  const facetStages = {};
+  for (let facet of facets) {
+    facetStages[facet.name] = [
+      { $match: createFiltersMatch(filters, facet.name) },
+      ...(facet.type === "date"
+        ? createDateFacetPipeline(facet)
+        : createTermsFacetPipeline(facet)),
+    ];
+  }
+  const result = (
+    await db
+      .collection("metadata")
+      .aggregate([{ $match: match }, { $facet: facetStages }])
+      .toArray()
+  )[0];
+  const output = {};
+  for (let facet of facets) {
+    if (facet.type === "date") {
+      const counts = result[facet.name][0] || {};
+      output[facet.name] = facet.buckets.map((b) => {
+        return { value: b.value, count: counts[b.value] || 0 };
+      });
+    } else {
+      output[facet.name] = result[facet.name];
+    }
+  }
+  return output;
+};
+
+// Returns the ids of the resources of the datasets satisfying the filters
+const getFilteredResourceIds = async (db, filters) => {
+  const datasets = await db
+    .collection("metadata")
+    .find(createFiltersMatch(filters), {
+      projection: { _id: false, resources: true },
+    })
+    .toArray();
+  const resourceIds = [];
+  for (let d of datasets) {
+    for (let r of d.resources || []) {
+      if (isResourceMatched(r, filters)) {
+        resourceIds.push(r.id);
+      }
+    }
+  }
+  return resourceIds;
+};
+
+module.exports = {
+  parseFilters,
+  createPortalMatch,
+  createFiltersMatch,
+  isResourceMatched,
+  computeFacets,
+  getFilteredResourceIds,
+};
@@ -1,6 +1,7 @@
 const express = require("express");
 const router = express.Router();
 const mongoUtil = require("./MongoUtil");
+const Duplicates = require("./Duplicates");
 
 const COLLECTION = "keyjoinscores";
 const METADATA_COLLECTION = "metadata";
@@ -16,7 +17,7 @@ const VALID_METRICS = new Set([
 
 router.get("/:uuid", async (req, res) => {
   const db = await mongoUtil.getDb();
-  const queryId = req.params.uuid;
+  let queryId = req.params.uuid;
   const queryIndex = Number.parseInt(req.query.index);
   const queryScore = req.query.min_score
     ? Number.parseFloat(req.query.min_score)
@@ -35,6 +36,11 @@ router.get("/:uuid", async (req, res) => {
   if (Number.isNaN(queryScore) || queryScore < 0.0 || queryScore > 1.0) {
     return res.sendStatus(400);
   }
+  // The duplicates are joined through their canonical resources
+  const canonicalIds = await Duplicates.getCanonicalIds(db, [queryId]);
+  if (canonicalIds.has(queryId)) {
+    queryId = canonicalIds.get(queryId);
+  }
   const sourceInferredstats = await db
     .collection(INFERREDSTATS_COLLECTION)
     .findOne({ uuid: queryId });
@@ -248,11 +254,15 @@ router.get("/:uuid", async (req, res) => {
         { $match: { "resources.id": { $in: resourceIds } } },
         { $unwind: "$resources" },
         { $match: { "resources.id": { $in: resourceIds } } },
-        { $project: { _id: false, resource: "$resources" } },
+        { $project: { _id: false, resource: "$resources", portal: true } },
       ])
       .toArray()
-  )
-    .map((r) => r.resource);
+  ).map((r) => {
+    // The portal of the dataset, with which the dataset of the resource is
+    // requested
+    return { ...r.resource, portal: r.portal };
+  });
+  await Duplicates.annotateResources(db, resources);
   const resourceIdSet = new Set(resources.map((r) => r.id));
   found.forEach((f) => {
     f.targets = f.targets.filter((t) => resourceIdSet.has(t.uuid));
@@ -0,0 +1,135 @@
+// MinHash sketches of the sets of values of the columns, used to estimate the
+// overlap of two columns without reading the files. The sketches of the
+// portal columns are computed by utils/ColumnSketchGenerator.js and must be
+// computed with the same parameters as the sketches of the query columns.
+const ValueParser = require("../ValueParser");
+
+const NUM_PERMUTATIONS = 128;
+// Locality-sensitive hashing: the signatures are split into bands and two
+// columns are candidates if any of their bands are equal. Bands of 2 rows
+// keep the pairs with a low Jaccard similarity but a high containment (a
+// small query column within a large portal column): a pair with a Jaccard
+// similarity of 0.1 is found with a probability of about 0.47, and one of
+// 0.2 with a probability of about 0.93.
+const NUM_BANDS = 64;
+const ROWS_PER_BAND = NUM_PERMUTATIONS / NUM_BANDS;
+
+const FNV_OFFSET = 0x811c9dc5;
+const FNV_PRIME = 0x01000193;
+const SECOND_HASH_SEED = 0x9e3779b9;
+
+const fnv1a = (string) => {
+  let hash = FNV_OFFSET;
+  for (let i = 0; i < string.length; ++i) {
+    hash ^= string.charCodeAt(i);
+    hash = Math.imul(hash, FNV_PRIME);
+  }
+  return hash >>> 0;
+};
+
+// Finalizer of MurmurHash3, spreads the bits of a 32-bit integer
+const mix = (hash) => {
+  hash ^= hash >>> 16;
+  hash = Math.imul(hash, 0x85ebca6b);
+  hash ^= hash >>> 13;
+  hash = Math.imul(hash, 0xc2b2ae35);
+  hash ^= hash >>> 16;
+  return hash >>> 0;
+};
+
+// Values are compared the same way as KeyColumnOverlap.py does
+const normalizeValue = (value) => {
+  return String(value).trim().toLowerCase();
+};
+
+// Returns the set of normalized values of a column, without missing values
+const toValueSet = (values) => {
+  const set = new Set();
+  for (let value of values) {
+    if (!ValueParser.isMissingValue(value)) {
+      set.add(normalizeValue(value));
+    }
+  }
+  return set;
+};
+
+const createSignature = () => {
+  return new Array(NUM_PERMUTATIONS).fill(0xffffffff);
+};
+
+// Adds a normalized value to a signature in place, the i-th hash function
+// being derived from two base hashes as h1 + i * h2
+const updateSignature = (signature, value) => {
+  const h1 = fnv1a(value);
+  const h2 = mix(h1 ^ SECOND_HASH_SEED);
+  for (let i = 0; i < NUM_PERMUTATIONS; ++i) {
+    const hash = mix((h1 + Math.imul(i, h2)) >>> 0);
+    if (hash < signature[i]) {
+      signature[i] = hash;
+    }
+  }
+};
+
+// Returns the MinHash signature of a set of normalized values
+const computeSignature = (valueSet) => {
+  const signature = createSignature();
+  for (let value of valueSet) {
+    updateSignature(signature, value);
+  }
+  return signature;
+};
+
+// Estimates the number of distinct values of a signature: for the minimum h
+// of n uniform hashes in [0, 1), -ln(1 - h) follows an exponential
+// distribution of rate n
+const estimateDistinctCount = (signature) => {
+  let sum = 0;
+  for (let hash of signature) {
+    sum -= Math.log(1 - hash / 0x100000000);
+  }
+  return sum > 0 ? Math.round((NUM_PERMUTATIONS - 1) / sum) : 0;
+};
+
+// Returns the keys of the LSH bands of a signature, indexed in MongoDB
+const getBands = (signature) => {
+  const bands = [];
+  for (let b = 0; b < NUM_BANDS; ++b) {
+    const rows = signature.slice(b * ROWS_PER_BAND, (b + 1) * ROWS_PER_BAND);
+    bands.push(`${b}:${fnv1a(rows.join(","))}`);
+  }
+  return bands;
+};
+
+const estimateJaccard = (signature1, signature2) => {
+  let equal = 0;
+  for (let i = 0; i < NUM_PERMUTATIONS; ++i) {
+    if (signature1[i] === signature2[i]) {
+      equal += 1;
+    }
+  }
+  return equal / NUM_PERMUTATIONS;
+};
+
+// Estimates the fraction of the query values found in the target column from
+// the Jaccard similarity and the sizes of both sets
+const estimateContainment = (jaccard, querySize, targetSize) => {
+  if (querySize === 0) {
+    return 0;
+  }
+  const intersectionSize = (jaccard * (querySize + targetSize)) / (1 + jaccard);
+  return Math.min(1, intersectionSize / querySize);
+};
+
+module.exports = {
+  NUM_PERMUTATIONS,
+  NUM_BANDS,
+  normalizeValue,
+  toValueSet,
+  createSignature,
+  updateSignature,
+  computeSignature,
+  estimateDistinctCount,
+  getBands,
+  estimateJaccard,
+  estimateContainment,
+};
@@ -0,0 +1,243 @@
+// Embedded search provider storing the rows in MongoDB with an inverted index
+// on the words of their values, for deployments without Elasticsearch. The
+// index only narrows down the candidate rows, which are then checked against
+// the query, so it is meant for portals of moderate size.
+const mongoUtil = require("./MongoUtil");
+const QueryParser = require("../QueryParser");
+const { SearchProvider } = require("./SearchProvider");
+
+const { splitWords } = QueryParser;
+
+const COLLECTION = "searchrows";
+
+const toMongoRow = (row) => {
+  const tokens = new Set();
+  row.values.forEach((v) => splitWords(v).forEach((t) => tokens.add(t)));
+  return {
+    ...row,
+    tokens: [...tokens],
+    cells: (row.cells || []).map((c) => {
+      return {
+        ...c,
+        field: String(c.field).toLowerCase(),
+        tokens: splitWords(c.value),
+      };
+    }),
+  };
+};
+
+// Translates a parsed query into a MongoDB query matching (at least) the rows
+// which contain all the words of the terms. Excluded terms cannot be
+// translated this way, they are only applied when the rows are checked.
+const toMongoQuery = (node) => {
+  switch (node.type) {
+    case "term": {
+      const tokens = splitWords(node.value);
+      if (tokens.length === 0) {
+        return {};
+      }
+      if (!node.field) {
+        return { tokens: { $all: tokens } };
+      }
+      return {
+        cells: { $elemMatch: { field: node.field, tokens: { $all: tokens } } },
+      };
+    }
+    case "range": {
+      const conditions = QueryParser.getRangeDomains(node).map((domain) => {
+        const { lower, upper } = QueryParser.getDomainBounds(node, domain);
+        const range = {};
+        if (lower) {
+          range[lower.inclusive ? "$gte" : "$gt"] = lower.value;
+        }
+        if (upper) {
+          range[upper.inclusive ? "$lte" : "$lt"] = upper.value;
+        }
+        return { [domain]: range };
+      });
+      if (conditions.length === 0) {
+        return { $expr: false };
+      }
+      return {
+        cells: { $elemMatch: { field: node.field, $or: conditions } },
+      };
+    }
+    case "not":
+      return {};
+    case "and":
+      return { $and: node.children.map(toMongoQuery) };
+    case "or":
+      return { $or: node.children.map(toMongoQuery) };
+  }
+};
+
+class MongoSearchProvider extends SearchProvider {
+  async getCollection() {
+    const db = await mongoUtil.getDb();
+    return db.collection(COLLECTION);
+  }
+
+  async createIndex() {
+    const collection = await this.getCollection();
+    try {
+      await collection.drop();
+    } catch (err) {
+      // ignore, collection may not exist
+    }
+    await collection.createIndex({ file_id: 1, row_number: 1 });
+    await collection.createIndex({ tokens: 1 });
+    await collection.createIndex({ "cells.field": 1 });
+  }
+
+  async indexRows(rows) {
+    const collection = await this.getCollection();
+    try {
+      await collection.insertMany(rows.map(toMongoRow), { ordered: false });
+    } catch (err) {
+      if (!err.writeErrors) {
+        throw err;
+      }
+      // The other rows are inserted regardless
+      return [].concat(err.writeErrors).map((e) => {
+        return { row_number: rows[e.index].row_number, reason: e.errmsg };
+      });
+    }
+    return [];
+  }
+
+  async deleteTable(fileId, after) {
+    const collection = await this.getCollection();
+    const filter = { file_id: fileId };
+    if (after !== undefined) {
+      filter.row_number = { $gt: after };
+    }
+    await collection.deleteMany(filter);
+  }
+
+  // Yields the matched rows ordered by file id and row number
+  async *scanMatchedRows(query, { fileIds, afterFileId }) {
+    const conditions = [toMongoQuery(query)];
+    if (fileIds) {
+      conditions.push({ file_id: { $in: fileIds } });
+    }
+    if (afterFileId) {
+      conditions.push({ file_id: { $gt: afterFileId } });
+    }
+    const collection = await this.getCollection();
+    const cursor = collection
+      .find(
+        { $and: conditions },
+        {
+          projection: {
+            _id: false,
+            file_id: true,
+            row_number: true,
+            fields: true,
+            values: true,
+          },
+        }
+      )
+      .sort({ file_id: 1, row_number: 1 });
+    for await (const row of cursor) {
+      if (
+        QueryParser.matchesRow(
+          query,
+          row.fields,
+          row.values,
+          QueryParser.MATCH_MODES.WORDS
+        )
+      ) {
+        yield row;
+      }
+    }
+  }
+
+  // The matched tables of all the pages are counted again for each page,
+  // since there is no session to keep them
+  async searchTablesPage(query, { after, pageSize, countTables, fileIds }) {
+    const afterFileId = after ? after.file_id : null;
+    const counts = new Map();
+    for await (const row of this.scanMatchedRows(query, {
+      fileIds,
+      afterFileId: countTables ? null : afterFileId,
+    })) {
+      if (
+        !counts.has(row.file_id) &&
+        !countTables &&
+        counts.size === pageSize
+      ) {
+        break;
+      }
+      counts.set(row.file_id, (counts.get(row.file_id) || 0) + 1);
+    }
+    const tables = [...counts.entries()]
+      .filter(([fileId]) => !afterFileId || fileId > afterFileId)
+      .slice(0, pageSize)
+      .map(([fileId, count]) => {
+        return { fileId, count };
+      });
+    return {
+      session: null,
+      tables,
+      after:
+        tables.length > 0
+          ? { file_id: tables[tables.length - 1].fileId }
+          : null,
+      tableCount: countTables ? counts.size : null,
+    };
+  }
+
+  async searchTableRows(query, { fileIds, maxRowsPerTable }) {
+    const rows = [];
+    let fileId = null;
+    let fileRowCount = 0;
+    for await (const row of this.scanMatchedRows(query, { fileIds })) {
+      if (row.file_id !== fileId) {
+        fileId = row.file_id;
+        fileRowCount = 0;
+      }
+      if (fileRowCount < maxRowsPerTable) {
+        rows.push(row);
+        fileRowCount += 1;
+      }
+    }
+    return rows;
+  }
+
+  async searchMatchedFileIds(query, { limit }) {
+    const fileIds = [];
+    for await (const row of this.scanMatchedRows(query, {})) {
+      if (fileIds[fileIds.length - 1] === row.file_id) {
+        continue;
+      }
+      if (fileIds.length >= limit) {
+        break;
+      }
+      fileIds.push(row.file_id);
+    }
+    return { session: null, fileIds };
+  }
+
+  async searchTopTables(query, { limit, sampleSize, fileIds }) {
+    const tables = new Map();
+    for await (const row of this.scanMatchedRows(query, { fileIds })) {
+      if (!tables.has(row.file_id)) {
+        tables.set(row.file_id, { fileId: row.file_id, count: 0, rows: [] });
+      }
+      const table = tables.get(row.file_id);
+      table.count += 1;
+      if (table.rows.length < sampleSize) {
+        table.rows.push(row);
+      }
+    }
+    return [...tables.values()]
+      .sort((a, b) => b.count - a.count)
+      .slice(0, limit);
+  }
+
+  async close() {
+    await mongoUtil.disconnect();
+  }
+}
+
+module.exports = MongoSearchProvider;
@@ -45,8 +45,11 @@ const getDb = async () => {
   return db;
 };
 
-const disconnect = () => {
-  mongoClient.close();
+// Returns a promise resolved once the connection is closed
+const disconnect = async () => {
+  if (mongoClient) {
+    await mongoClient.close();
+  }
 };
 module.exports = {
   connectMongo,
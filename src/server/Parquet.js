@@ -1,26 +1,9 @@
 const express = require("express");
 const router = express.Router();
 const mongoUtil = require("./MongoUtil");
-const path = require("path");
-const { spawn } = require("child_process");
+const ParquetCache = require("./ParquetCache");
 const COLLECTION = "inferredstats";
 
-const CSV_BASE_PATH = path.join(__dirname, "..", "..", "data", "files");
-const PARQUET_CACHE_PATH = path.join(
-  __dirname,
-  "..",
-  "..",
-  "data",
-  "parquet_cache"
-);
-const PYTHON_PARQUET_CONVERTER_PATH = path.join(
-  __dirname,
-  "..",
-  "..",
-  "utils",
-  "CSVToParquetConverter.py"
-);
-
 router.get("/:uuid.parquet", async (req, res) => {
   const db = await mongoUtil.getDb();
   const uuid = req.params.uuid;
@@ -30,45 +13,31 @@ router.get("/:uuid.parquet", async (req, res) => {
     return res.sendStatus(404);
   }
 
-  const useNumberIndex = true;
+  let file;
+  try {
+    file = await ParquetCache.getFile(found);
+  } catch (err) {
+    return res.sendStatus(
+      err instanceof ParquetCache.MissingFileError ? 404 : 500
+    );
+  }
 
+  // The Parquet file changes with the CSV file, so the browsers revalidate
+  // it with its ETag
   res.setHeader("content-type", "application/octet-stream");
-  res.set("cache-control", "public, max-age=31536000");
-
-  const fileName = `${uuid}${useNumberIndex ? "_num_index" : ""}.parquet`;
-  const filePath = path.join(PARQUET_CACHE_PATH, fileName);
-
-  const fieldNames = found.schema.fields.map((f) => f.name);
-  const encoding = found.encoding;
-  const header = found.header;
-
-  const params = [
-    PYTHON_PARQUET_CONVERTER_PATH,
-    path.join(CSV_BASE_PATH, `${uuid}.csv`),
-    encoding,
-    header,
-  ];
-  if (!useNumberIndex) {
-    params.push(JSON.stringify(fieldNames));
+  res.set("cache-control", "public, no-cache");
+  res.set("etag", file.etag);
+  if (req.fresh) {
+    ParquetCache.releaseFile(uuid);
+    return res.status(304).end();
   }
-
-  const parquetConverter = spawn("python3", params);
-  parquetConverter
-    .on("close", (code) => {
-      if (code !== 0) {
-        return res.sendStatus(500);
-      }
-      return res.sendFile(filePath);
-    })
-    .on("error", () => {
-      return res.sendStatus(500);
-    });
-    parquetConverter.stdout.on("data", (data) => {
-      console.log(`stderr: ${data}`);
-    });
-    parquetConverter.stderr.on("data", (data) => {
-      console.log(`stderr: ${data}`);
-    });
+  // The file is kept in the cache until it is sent, or the request aborted
+  return res.sendFile(file.path, (err) => {
+    ParquetCache.releaseFile(uuid);
+    if (err && !res.headersSent) {
+      res.sendStatus(500);
+    }
+  });
 });
 
 module.exports = router;
@@ -0,0 +1,255 @@
+// The cache of the Parquet files of the tables (see ParquetFiles), within the
+// disk budget of the `parquetCache` section of the config. Its entries are
+// recorded in the parquetcache collection with the SHA-256 of the CSV file
+// they were converted from, so that they are converted again when the CSV
+// file changes (e.g. when it is downloaded again), and the SHA-256 of the
+// Parquet file, which is its ETag. The least recently used Parquet files are
+// removed once the cache is over budget.
+const path = require("path");
+const Fs = require("fs");
+const FsPromises = require("fs/promises");
+const Crypto = require("crypto");
+const mongoUtil = require("./MongoUtil");
+const ParquetFiles = require("./ParquetFiles");
+const config = require("../../app.config.json");
+
+const COLLECTION = "parquetcache";
+const CSV_BASE_PATH = path.join(__dirname, "..", "..", "data", "files");
+// 10 GB
+const DEFAULT_MAX_SIZE = 10000000000;
+// The files of the cache directory which are not in the cache are only
+// removed once they have not been written for that long, since they may be
+// being converted by another process
+const UNTRACKED_FILE_MIN_AGE_MS = 60 * 60 * 1000;
+
+// Thrown when the CSV file of a table is missing
+class MissingFileError extends Error {}
+
+// The lookups in progress by uuid, so that a table is converted once when it
+// is requested several times at once
+const pendingLookups = new Map();
+// The numbers of the requests reading the Parquet files by uuid, which are
+// not evicted until they are released (see getFile)
+const pinnedUUIDs = new Map();
+
+const getMaxSize = () => {
+  const cacheConfig = config.parquetCache || {};
+  return cacheConfig.maxSize || DEFAULT_MAX_SIZE;
+};
+
+const getFileSha256 = (filePath) => {
+  return new Promise((resolve, reject) => {
+    const hash = Crypto.createHash("sha256");
+    Fs.createReadStream(filePath)
+      .on("data", (chunk) => hash.update(chunk))
+      .on("end", () => resolve(hash.digest("hex")))
+      .on("error", reject);
+  });
+};
+
+const statOrNull = (filePath) => FsPromises.stat(filePath).catch(() => null);
+
+// Whether the Parquet file of an entry is still there and its CSV file has
+// not changed. The CSV file is only hashed again when its size or its
+// modification time changed.
+const isUpToDate = async (collection, entry, csvPath, csvStats) => {
+  const parquetStats = await statOrNull(
+    ParquetFiles.getParquetPath(entry.uuid)
+  );
+  if (!parquetStats || parquetStats.size !== entry.size) {
+    return false;
+  }
+  if (
+    csvStats.size === entry.source_size &&
+    csvStats.mtimeMs === entry.source_mtime
+  ) {
+    return true;
+  }
+  if ((await getFileSha256(csvPath)) !== entry.source_sha256) {
+    return false;
+  }
+  await collection.updateOne(
+    { uuid: entry.uuid },
+    { $set: { source_size: csvStats.size, source_mtime: csvStats.mtimeMs } }
+  );
+  return true;
+};
+
+// Removes the least recently used Parquet files until the cache is within
+// its budget, except the one of `keptUUID` and the ones being read, and the
+// old files of the cache directory which are not in the cache (e.g.
+// converted before the cache, or left over by failed conversions)
+const evict = async (collection, keptUUID) => {
+  const entries = await collection
+    .find({ cached: true })
+    .project({ uuid: 1, size: 1 })
+    .sort({ last_accessed: 1 })
+    .toArray();
+  const cachedPaths = new Set(
+    entries.map((e) => ParquetFiles.getParquetPath(e.uuid))
+  );
+  for (let uuid of [...pendingLookups.keys(), ...pinnedUUIDs.keys()]) {
+    cachedPaths.add(ParquetFiles.getParquetPath(uuid));
+  }
+  const cacheDirectory = path.dirname(ParquetFiles.getParquetPath(keptUUID));
+  for (let fileName of await FsPromises.readdir(cacheDirectory)) {
+    const filePath = path.join(cacheDirectory, fileName);
+    if (
+      !/\.parquet(\.\d+\.part)?$/.test(fileName) ||
+      cachedPaths.has(filePath)
+    ) {
+      continue;
+    }
+    const fileStats = await statOrNull(filePath);
+    if (
+      fileStats &&
+      Date.now() - fileStats.mtimeMs > UNTRACKED_FILE_MIN_AGE_MS
+    ) {
+      await FsPromises.rm(filePath, { force: true });
+    }
+  }
+  const maxSize = getMaxSize();
+  let size = entries.reduce((sum, e) => sum + e.size, 0);
+  for (let entry of entries) {
+    if (size <= maxSize) {
+      break;
+    }
+    if (
+      entry.uuid === keptUUID ||
+      pendingLookups.has(entry.uuid) ||
+      pinnedUUIDs.has(entry.uuid)
+    ) {
+      continue;
+    }
+    await FsPromises.rm(ParquetFiles.getParquetPath(entry.uuid), {
+      force: true,
+    });
+    await collection.updateOne(
+      { uuid: entry.uuid },
+      { $set: { cached: false } }
+    );
+    size -= entry.size;
+  }
+};
+
+// Converts the CSV file of a table unless its Parquet file is cached and up
+// to date, and returns the path and the ETag of the Parquet file
+const lookup = async (stats) => {
+  const db = await mongoUtil.getDb();
+  const collection = db.collection(COLLECTION);
+  const uuid = stats.uuid;
+  const filePath = ParquetFiles.getParquetPath(uuid);
+  const csvPath = path.join(CSV_BASE_PATH, `${uuid}.csv`);
+  const csvStats = await statOrNull(csvPath);
+  if (!csvStats) {
+    throw new MissingFileError(`The file of ${uuid} is missing`);
+  }
+  const entry = await collection.findOne({ uuid });
+  if (
+    entry &&
+    entry.cached &&
+    (await isUpToDate(collection, entry, csvPath, csvStats))
+  ) {
+    return { path: filePath, etag: entry.etag };
+  }
+  // The converter keeps the existing Parquet files
+  await FsPromises.rm(filePath, { force: true });
+  const sourceSha256 = await getFileSha256(csvPath);
+  await ParquetFiles.convertToParquet(stats);
+  const parquetStats = await FsPromises.stat(filePath);
+  const etag = `"${await getFileSha256(filePath)}"`;
+  await collection.updateOne(
+    { uuid },
+    {
+      $set: {
+        cached: true,
+        size: parquetStats.size,
+        etag,
+        source_sha256: sourceSha256,
+        source_size: csvStats.size,
+        source_mtime: csvStats.mtimeMs,
+        converted_at: new Date(),
+        last_accessed: new Date(),
+      },
+      $setOnInsert: { hits: 0 },
+    },
+    { upsert: true }
+  );
+  await evict(collection, uuid);
+  return { path: filePath, etag };
+};
+
+const ensureFile = (stats) => {
+  if (!pendingLookups.has(stats.uuid)) {
+    const promise = lookup(stats).finally(() =>
+      pendingLookups.delete(stats.uuid)
+    );
+    pendingLookups.set(stats.uuid, promise);
+  }
+  return pendingLookups.get(stats.uuid);
+};
+
+const releaseFile = (uuid) => {
+  const count = pinnedUUIDs.get(uuid) || 0;
+  if (count <= 1) {
+    pinnedUUIDs.delete(uuid);
+  } else {
+    pinnedUUIDs.set(uuid, count - 1);
+  }
+};
+
+// Returns the path and the ETag of the Parquet file of a table, whose
+// inferred stats are given, and records the access for the eviction and the
+// popularity of the table. The file is not evicted until it is released with
+// releaseFile once it has been read.
+const getFile = async (stats) => {
+  pinnedUUIDs.set(stats.uuid, (pinnedUUIDs.get(stats.uuid) || 0) + 1);
+  try {
+    const file = await ensureFile(stats);
+    const db = await mongoUtil.getDb();
+    await db
+      .collection(COLLECTION)
+      .updateOne(
+        { uuid: stats.uuid },
+        { $set: { last_accessed: new Date() }, $inc: { hits: 1 } }
+      );
+    return file;
+  } catch (err) {
+    releaseFile(stats.uuid);
+    throw err;
+  }
+};
+
+// Returns the uuids of the most requested tables whose Parquet files are not
+// cached
+const findPopularUUIDs = async (limit) => {
+  const db = await mongoUtil.getDb();
+  const entries = await db
+    .collection(COLLECTION)
+    .find({ cached: { $ne: true }, hits: { $gt: 0 } })
+    .project({ uuid: 1 })
+    .sort({ hits: -1 })
+    .limit(limit)
+    .toArray();
+  return entries.map((e) => e.uuid);
+};
+
+// Converts the tables one after the other without recording accesses, the
+// failures are logged
+const prewarm = async (statsList) => {
+  for (let stats of statsList) {
+    try {
+      await ensureFile(stats);
+    } catch (err) {
+      console.error(`Cannot prewarm the Parquet file of ${stats.uuid}`, err);
+    }
+  }
+};
+
+module.exports = {
+  MissingFileError,
+  getFile,
+  releaseFile,
+  findPopularUUIDs,
+  prewarm,
+};
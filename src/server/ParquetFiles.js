@@ -0,0 +1,69 @@
+// The Parquet files of the tables, converted from their CSV files by
+// utils/CSVToParquetConverter.py into data/parquet_cache. They are loaded by
+// DuckDB-wasm in the browser and queried by DuckDB on the server.
+const path = require("path");
+const { spawn } = require("child_process");
+
+const CSV_BASE_PATH = path.join(__dirname, "..", "..", "data", "files");
+const PARQUET_CACHE_PATH = path.join(
+  __dirname,
+  "..",
+  "..",
+  "data",
+  "parquet_cache"
+);
+const PYTHON_PARQUET_CONVERTER_PATH = path.join(
+  __dirname,
+  "..",
+  "..",
+  "utils",
+  "CSVToParquetConverter.py"
+);
+
+// The columns are named by their indexes unless `useNumberIndex` is false
+const getParquetPath = (uuid, useNumberIndex = true) => {
+  return path.join(
+    PARQUET_CACHE_PATH,
+    `${uuid}${useNumberIndex ? "_num_index" : ""}.parquet`
+  );
+};
+
+// Converts the CSV file of a table, whose inferred stats are given, and
+// returns the path of the Parquet file. The columns are written in the types
+// of the inferred schema, or as strings if some of their values do not match
+// it. The converter keeps the Parquet file if it already exists with types.
+const convertToParquet = (stats, useNumberIndex = true) => {
+  const fields = stats.schema.fields;
+  const params = [
+    PYTHON_PARQUET_CONVERTER_PATH,
+    path.join(CSV_BASE_PATH, `${stats.uuid}.csv`),
+    stats.encoding,
+    stats.header,
+    JSON.stringify(useNumberIndex ? null : fields.map((f) => f.name)),
+    JSON.stringify(fields.map((f) => f.type)),
+  ];
+  return new Promise((resolve, reject) => {
+    const parquetConverter = spawn("python3", params);
+    parquetConverter
+      .on("close", (code) => {
+        if (code !== 0) {
+          return reject(
+            new Error(`Cannot convert ${stats.uuid} to Parquet (${code})`)
+          );
+        }
+        return resolve(getParquetPath(stats.uuid, useNumberIndex));
+      })
+      .on("error", reject);
+    parquetConverter.stdout.on("data", (data) => {
+      console.log(`stdout: ${data}`);
+    });
+    parquetConverter.stderr.on("data", (data) => {
+      console.log(`stderr: ${data}`);
+    });
+  });
+};
+
+module.exports = {
+  getParquetPath,
+  convertToParquet,
+};
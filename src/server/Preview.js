@@ -0,0 +1,346 @@
+// Previews the rows of a table on the server, for the tables too large to be
+// loaded by DuckDB-wasm in the browser. The CSV file is read as a stream, and
+// only the rows of the requested page are kept in memory (and the rows before
+// them when sorted). The rows are filtered with the row search syntax (see
+// QueryParser), and returned with the values in the types of their columns.
+const express = require("express");
+const router = express.Router();
+const path = require("path");
+const { once } = require("events");
+const FsPromises = require("fs/promises");
+const { createReadStream } = require("fs");
+const { spawn } = require("child_process");
+const csvParser = require("csv-parser");
+const csvStringify = require("csv-stringify/sync").stringify;
+const mongoUtil = require("./MongoUtil");
+const QueryParser = require("../QueryParser");
+const ValueParser = require("../ValueParser");
+
+const COLLECTION = "inferredstats";
+const CSV_BASE_PATH = path.join(__dirname, "..", "..", "data", "files");
+const PYTHON_ENCODING_CONVERTER_PATH = path.join(
+  __dirname,
+  "..",
+  "..",
+  "utils",
+  "EncodingConverter.py"
+);
+
+const PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 1000;
+// The sorted rows up to the end of the page are kept in memory
+const MAX_SORTED_ROWS = 100000;
+
+const getFilePath = (uuid) => {
+  return path.join(CSV_BASE_PATH, `${uuid}.csv`);
+};
+
+// Yields the rows of a CSV file converted to UTF-8, the conversion being
+// stopped if the iteration ends early
+async function* readRows(uuid, encoding) {
+  const converter = spawn("python3", [
+    PYTHON_ENCODING_CONVERTER_PATH,
+    encoding,
+  ]);
+  converter.stdin.on("error", () => {
+    // ignore error on SIGKILL of the Python process so we can quit early
+    return;
+  });
+  createReadStream(getFilePath(uuid))
+    .on("error", () => converter.stdin.end())
+    .pipe(converter.stdin);
+  try {
+    for await (let data of converter.stdout.pipe(
+      csvParser({ headers: false })
+    )) {
+      yield Object.values(data);
+    }
+  } finally {
+    converter.kill("SIGKILL");
+  }
+}
+
+// The values which cannot be converted to the types of their columns are
+// kept as strings
+const toTypedValue = (value, type) => {
+  const typed = ValueParser.parseTypedValue(value, type);
+  if (typed === null && !ValueParser.isMissingValue(value)) {
+    return value;
+  }
+  if (typeof typed === "number" && !Number.isFinite(typed)) {
+    return value;
+  }
+  return typed;
+};
+
+// The types whose values are sorted as numbers, dates or booleans
+const TYPED_TYPES = new Set([
+  "number",
+  "integer",
+  "year",
+  "date",
+  "datetime",
+  "yearmonth",
+  "boolean",
+]);
+
+// The values of the typed columns which cannot be converted are sorted as
+// missing values, like by DuckDB
+const getSortKey = (value, type) => {
+  if (ValueParser.isMissingValue(value)) {
+    return null;
+  }
+  const copies = ValueParser.parseTypedCopies(value, type);
+  for (let domain of ["number", "date", "boolean"]) {
+    if (domain in copies) {
+      return Number(copies[domain]);
+    }
+  }
+  return TYPED_TYPES.has(type) ? null : value;
+};
+
+// The missing values are last in both orders, and the rows with the same
+// value are in the order of the file
+const createComparator = (order) => {
+  const direction = order === "desc" ? -1 : 1;
+  return (a, b) => {
+    if (a.key !== b.key) {
+      if (a.key === null) {
+        return 1;
+      }
+      if (b.key === null) {
+        return -1;
+      }
+      return a.key < b.key ? -direction : direction;
+    }
+    return a.row_id - b.row_id;
+  };
+};
+
+// Inserts a row into the sorted rows, keeping only the first `size` ones
+const insertSorted = (sorted, entry, compare, size) => {
+  if (sorted.length === size && compare(entry, sorted[size - 1]) >= 0) {
+    return;
+  }
+  let low = 0;
+  let high = sorted.length;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (compare(entry, sorted[middle]) < 0) {
+      high = middle;
+    } else {
+      low = middle + 1;
+    }
+  }
+  sorted.splice(low, 0, entry);
+  if (sorted.length > size) {
+    sorted.pop();
+  }
+};
+
+const parseIndexes = (string, fieldCount) => {
+  const indexes = string.split(",").map((s) => Number(s));
+  if (indexes.some((i) => !Number.isInteger(i) || i < 0 || i >= fieldCount)) {
+    throw new Error("Invalid column index");
+  }
+  return indexes;
+};
+
+// Parses the options of a preview from the query string:
+// - q: queries matched against the whole rows (repeatable), combined with
+//   `logic` (`or` by default, or `and`)
+// - filter[<column index>]: queries matched against one column
+// - columns: the comma-separated indexes of the returned columns
+// - sort: the index of the column to sort by, in the `order` asc or desc
+// - offset and limit: the page of the rows
+// - count: `false` to skip counting the matched rows
+// - format: `csv` to download all the matched rows in the order of the file
+const parseOptions = (query, fields) => {
+  const keywords = [].concat(query.q || []).filter((q) => q);
+  const parsedKeywords = keywords.map((q) => QueryParser.parse(q));
+  const columnFilters = Object.entries(query.filter || {}).map(([i, q]) => {
+    return {
+      index: parseIndexes(i, fields.length)[0],
+      query: QueryParser.parse(q),
+    };
+  });
+  const options = {
+    keywordQuery:
+      parsedKeywords.length > 0
+        ? QueryParser.combine(
+            parsedKeywords,
+            query.logic === "and" ? "and" : "or"
+          )
+        : null,
+    columnFilters,
+    columns: query.columns
+      ? parseIndexes(query.columns, fields.length)
+      : fields.map((_, i) => i),
+    sort:
+      query.sort !== undefined
+        ? parseIndexes(query.sort, fields.length)[0]
+        : null,
+    order: query.order === "desc" ? "desc" : "asc",
+    offset: query.offset ? Number(query.offset) : 0,
+    limit: query.limit ? Number(query.limit) : PAGE_SIZE,
+    count: query.count !== "false",
+    format: query.format === "csv" ? "csv" : "json",
+  };
+  if (!Number.isInteger(options.offset) || options.offset < 0) {
+    throw new Error("Invalid offset");
+  }
+  if (
+    !Number.isInteger(options.limit) ||
+    options.limit < 1 ||
+    options.limit > MAX_PAGE_SIZE
+  ) {
+    throw new Error("Invalid limit");
+  }
+  if (
+    options.sort !== null &&
+    options.offset + options.limit > MAX_SORTED_ROWS
+  ) {
+    throw new Error("The page is too far in the sorted rows");
+  }
+  return options;
+};
+
+// Yields the rows matched by the filters with their ids, which are their
+// numbers after the header like the row ids of DuckDB.js
+async function* readMatchedRows(stats, options) {
+  const fieldNames = stats.schema.fields.map((f) => f.name);
+  let i = -1;
+  for await (let row of readRows(stats.uuid, stats.encoding)) {
+    i += 1;
+    if (i <= stats.header) {
+      continue;
+    }
+    const values = fieldNames.map((_, j) => (j < row.length ? row[j] : null));
+    if (
+      options.keywordQuery &&
+      !QueryParser.matchesRow(options.keywordQuery, fieldNames, values)
+    ) {
+      continue;
+    }
+    if (
+      !options.columnFilters.every((f) =>
+        QueryParser.matchesRow(
+          f.query,
+          [fieldNames[f.index]],
+          [values[f.index]]
+        )
+      )
+    ) {
+      continue;
+    }
+    yield { row_id: i - stats.header, values };
+  }
+}
+
+// Returns the page of the matched rows, with their total count unless it is
+// not requested, in which case the reading stops at the end of the page of
+// the unsorted rows
+const readPage = async (stats, options) => {
+  const end = options.offset + options.limit;
+  const fields = stats.schema.fields;
+  const compare = createComparator(options.order);
+  const rows = [];
+  let total = 0;
+  for await (let row of readMatchedRows(stats, options)) {
+    total += 1;
+    if (options.sort !== null) {
+      row.key = getSortKey(row.values[options.sort], fields[options.sort].type);
+      insertSorted(rows, row, compare, end);
+    } else if (total > options.offset && total <= end) {
+      rows.push(row);
+    } else if (total >= end && !options.count) {
+      break;
+    }
+  }
+  const page = options.sort !== null ? rows.slice(options.offset) : rows;
+  return {
+    total: options.count ? total : null,
+    offset: options.offset,
+    limit: options.limit,
+    columns: options.columns.map((i) => {
+      return { index: i, name: fields[i].name, type: fields[i].type };
+    }),
+    rows: page.map((r) => {
+      return {
+        row_id: r.row_id,
+        values: options.columns.map((i) =>
+          toTypedValue(r.values[i], fields[i].type)
+        ),
+      };
+    }),
+  };
+};
+
+// Streams the matched rows with the raw values of the requested columns
+const sendCsv = async (res, stats, options) => {
+  const fields = stats.schema.fields;
+  res.setHeader("content-type", "text/csv");
+  res.setHeader(
+    "content-disposition",
+    `attachment; filename="${stats.uuid}.csv"`
+  );
+  res.write(csvStringify([options.columns.map((i) => fields[i].name)]));
+  for await (let row of readMatchedRows(stats, options)) {
+    if (res.destroyed) {
+      break;
+    }
+    const line = csvStringify([options.columns.map((i) => row.values[i])]);
+    if (!res.write(line)) {
+      await once(res, "drain");
+    }
+  }
+  res.end();
+};
+
+// The size of the file, from which the frontend decides where to preview it
+router.get("/:uuid/info", async (req, res) => {
+  const db = await mongoUtil.getDb();
+  const uuid = req.params.uuid;
+  const found = await db.collection(COLLECTION).findOne({ uuid });
+  if (!found) {
+    return res.sendStatus(404);
+  }
+  let fileStats;
+  try {
+    fileStats = await FsPromises.stat(getFilePath(uuid));
+  } catch (err) {
+    return res.sendStatus(404);
+  }
+  return res.send({ file_size: fileStats.size });
+});
+
+router.get("/:uuid", async (req, res) => {
+  const db = await mongoUtil.getDb();
+  const uuid = req.params.uuid;
+  const found = await db.collection(COLLECTION).findOne({ uuid });
+  if (!found) {
+    return res.sendStatus(404);
+  }
+  let options;
+  try {
+    options = parseOptions(req.query, found.schema.fields);
+  } catch (err) {
+    if (err instanceof QueryParser.QueryParserError) {
+      return res
+        .status(400)
+        .send({ error: err.message, position: err.position });
+    }
+    return res.status(400).send({ error: err.message });
+  }
+  try {
+    await FsPromises.access(getFilePath(uuid));
+  } catch (err) {
+    return res.sendStatus(404);
+  }
+  if (options.format === "csv") {
+    return await sendCsv(res, found, options);
+  }
+  return res.send(await readPage(found, options));
+});
+
+module.exports = router;
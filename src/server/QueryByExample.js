@@ -0,0 +1,282 @@
+const express = require("express");
+const router = express.Router();
+const Papa = require("papaparse");
+const mongoUtil = require("./MongoUtil");
+const MinHash = require("./MinHash");
+const ValueParser = require("../ValueParser");
+
+const COLLECTION = "columnsketches";
+const METADATA_COLLECTION = "metadata";
+const INFERREDSTATS_COLLECTION = "inferredstats";
+
+const MIN_UNIQUE_VALUE = 2;
+// Max number of portal columns compared with each query column
+const MAX_CANDIDATES_PER_COLUMN = 1000;
+// Max number of portal tables compared with the query table by their column
+// names, the ones sharing the most names
+const MAX_CANDIDATES_BY_NAME = 1000;
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 100;
+const MIN_UNIONABLE_SCORE = 0.5;
+
+const normalizeName = (name) => {
+  return String(name).trim().toLowerCase();
+};
+
+// Returns the type of a column from its values, "number" or "date" if all of
+// them can be parsed as such, "string" otherwise
+const inferType = (valueSet) => {
+  if (valueSet.size === 0) {
+    return "string";
+  }
+  const values = [...valueSet];
+  if (values.every((v) => ValueParser.parseNumber(v) !== null)) {
+    return "number";
+  }
+  if (values.every((v) => ValueParser.parseDate(v) !== null)) {
+    return "date";
+  }
+  return "string";
+};
+
+// Profiles the columns of the uploaded table, the first row being the header
+const profileColumns = (rows) => {
+  const header = rows[0];
+  const columns = [];
+  for (let j = 0; j < header.length; ++j) {
+    const values = rows.slice(1).map((r) => r[j]);
+    const count = values.filter((v) => !ValueParser.isMissingValue(v)).length;
+    const valueSet = MinHash.toValueSet(values);
+    columns.push({
+      index: j,
+      name: header[j],
+      type: inferType(valueSet),
+      count,
+      unique_count: valueSet.size,
+      uniqueness_score: count > 0 ? valueSet.size / count : 0,
+      valueSet,
+    });
+  }
+  return columns;
+};
+
+// Returns the portal columns sharing a band with the query column, with the
+// estimated overlap of their values
+const findOverlappingColumns = async (db, column) => {
+  const signature = MinHash.computeSignature(column.valueSet);
+  const candidates = await db
+    .collection(COLLECTION)
+    .find(
+      { bands: { $in: MinHash.getBands(signature) } },
+      { projection: { _id: false, bands: false } }
+    )
+    .limit(MAX_CANDIDATES_PER_COLUMN)
+    .toArray();
+  return candidates
+    .map((c) => {
+      const jaccard = MinHash.estimateJaccard(signature, c.signature);
+      return {
+        uuid: c.uuid,
+        index: c.index,
+        field_name: c.name,
+        field_type: c.type,
+        unique_count: c.unique_count,
+        jaccard_score: jaccard,
+        containment_score: MinHash.estimateContainment(
+          jaccard,
+          column.unique_count,
+          c.unique_count
+        ),
+      };
+    })
+    .filter((c) => c.jaccard_score > 0);
+};
+
+// Returns the dataset and the resource of each of the given tables
+const getResourcesInfo = async (db, uuids) => {
+  const found = await db
+    .collection(METADATA_COLLECTION)
+    .aggregate([
+      { $match: { "resources.id": { $in: uuids } } },
+      { $unwind: "$resources" },
+      { $match: { "resources.id": { $in: uuids } } },
+      {
+        $project: {
+          _id: false,
+          dataset: { id: "$id", title: "$title" },
+          resource: { id: "$resources.id", name: "$resources.name" },
+        },
+      },
+    ])
+    .toArray();
+  const info = {};
+  found.forEach((f) => (info[f.resource.id] = f));
+  return info;
+};
+
+// Scores the tables as unionable with the query table by the similarity of
+// their column names and by the overlap of the values of their columns
+const findUnionableTables = async (db, columns, overlaps) => {
+  const queryNames = new Set(columns.map((c) => normalizeName(c.name)));
+  const valueScores = {};
+  columns.forEach((c, i) => {
+    const best = {};
+    for (let o of overlaps[i]) {
+      best[o.uuid] = Math.max(best[o.uuid] || 0, o.jaccard_score);
+    }
+    for (let uuid in best) {
+      valueScores[uuid] =
+        (valueScores[uuid] || 0) + best[uuid] / columns.length;
+    }
+  });
+  const queryColumnNames = columns.map((c) => c.name);
+  const collection = db.collection(INFERREDSTATS_COLLECTION);
+  const candidatesByName = await collection
+    .aggregate([
+      { $match: { "schema.fields.name": { $in: queryColumnNames } } },
+      {
+        $project: {
+          _id: false,
+          uuid: true,
+          "schema.fields.name": true,
+          // The names are literals, even if they start with $
+          common: {
+            $size: {
+              $setIntersection: [
+                "$schema.fields.name",
+                { $literal: queryColumnNames },
+              ],
+            },
+          },
+        },
+      },
+      { $sort: { common: -1 } },
+      { $limit: MAX_CANDIDATES_BY_NAME },
+    ])
+    .toArray();
+  const foundUUIDs = new Set(candidatesByName.map((c) => c.uuid));
+  // At most MAX_CANDIDATES_PER_COLUMN tables by query column
+  const candidatesByValue = await collection
+    .find(
+      {
+        uuid: {
+          $in: Object.keys(valueScores).filter((u) => !foundUUIDs.has(u)),
+        },
+      },
+      { projection: { _id: false, uuid: true, "schema.fields.name": true } }
+    )
+    .toArray();
+  const candidates = candidatesByName.concat(candidatesByValue);
+  return candidates
+    .map((c) => {
+      const names = new Set(c.schema.fields.map((f) => normalizeName(f.name)));
+      const common = [...names].filter((n) => queryNames.has(n)).length;
+      const schemaScore = common / (names.size + queryNames.size - common || 1);
+      const valueScore = valueScores[c.uuid] || 0;
+      return {
+        uuid: c.uuid,
+        score: (schemaScore + valueScore) / 2,
+        schema_score: schemaScore,
+        value_score: valueScore,
+      };
+    })
+    .filter((c) => c.score >= MIN_UNIONABLE_SCORE)
+    .sort((a, b) => b.score - a.score);
+};
+
+// Finds the portal tables joinable with each column of an uploaded CSV file
+// and the portal tables unionable with it, using the precomputed sketches
+router.post(
+  "/",
+  express.text({ type: ["text/csv", "text/plain"], limit: "16mb" }),
+  async (req, res) => {
+    const db = await mongoUtil.getDb();
+    const minScore = req.query.min_score
+      ? Number.parseFloat(req.query.min_score)
+      : 0.5;
+    const uniquenessCutoff = req.query.uniqueness_cutoff
+      ? Number.parseFloat(req.query.uniqueness_cutoff)
+      : 0.5;
+    const limit = req.query.limit
+      ? Number.parseInt(req.query.limit)
+      : DEFAULT_LIMIT;
+    if (Number.isNaN(minScore) || minScore < 0.0 || minScore > 1.0) {
+      return res.sendStatus(400);
+    }
+    if (
+      Number.isNaN(uniquenessCutoff) ||
+      uniquenessCutoff < 0.0 ||
+      uniquenessCutoff > 1.0
+    ) {
+      return res.sendStatus(400);
+    }
+    if (Number.isNaN(limit) || limit < 1 || limit > MAX_LIMIT) {
+      return res.sendStatus(400);
+    }
+    if (typeof req.body !== "string" || req.body.length === 0) {
+      return res.sendStatus(400);
+    }
+    const rows = Papa.parse(req.body, { skipEmptyLines: true }).data;
+    if (rows.length < 2) {
+      return res.sendStatus(400);
+    }
+
+    const columns = profileColumns(rows);
+    const overlaps = [];
+    for (let column of columns) {
+      overlaps.push(
+        column.unique_count >= MIN_UNIQUE_VALUE
+          ? await findOverlappingColumns(db, column)
+          : []
+      );
+    }
+    const unionable = (await findUnionableTables(db, columns, overlaps)).slice(
+      0,
+      limit
+    );
+
+    const output = columns.map((column, i) => {
+      const isKey = column.uniqueness_score >= uniquenessCutoff;
+      // Only the best column of each table is kept
+      const bestTargets = {};
+      if (isKey) {
+        for (let o of overlaps[i]) {
+          if (o.containment_score < minScore) {
+            continue;
+          }
+          const best = bestTargets[o.uuid];
+          if (!best || o.containment_score > best.containment_score) {
+            bestTargets[o.uuid] = o;
+          }
+        }
+      }
+      delete column.valueSet;
+      return {
+        ...column,
+        is_key: isKey,
+        joinable: Object.values(bestTargets)
+          .sort(
+            (a, b) =>
+              b.containment_score - a.containment_score ||
+              b.jaccard_score - a.jaccard_score
+          )
+          .slice(0, limit),
+      };
+    });
+
+    const info = await getResourcesInfo(db, [
+      ...output.flatMap((c) => c.joinable.map((t) => t.uuid)),
+      ...unionable.map((t) => t.uuid),
+    ]);
+    const addInfo = (t) => {
+      return { ...t, ...(info[t.uuid] || { dataset: null, resource: null }) };
+    };
+    output.forEach((c) => (c.joinable = c.joinable.map(addInfo)));
+    return res.send({
+      columns: output,
+      unionable: unionable.map(addInfo),
+    });
+  }
+);
+
+module.exports = router;
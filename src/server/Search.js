@@ -1,17 +1,14 @@
 const express = require("express");
 const router = express.Router();
-const elasticclient = require("@elastic/elasticsearch").Client;
 const adddashestouuid = require("add-dashes-to-uuid");
 const mongoUtil = require("./MongoUtil");
 const uuid = require("uuid");
 const config = require("../../app.config.json");
-
-const client = new elasticclient({
-  node: config.elasticsearch.uri,
-  auth: {
-    bearer: "token",
-  },
-});
+const QueryParser = require("../QueryParser");
+const Facets = require("./Facets");
+const Snippets = require("./Snippets");
+const Duplicates = require("./Duplicates");
+const { SessionExpiredError, getSearchProvider } = require("./SearchProvider");
 
 router.get("/metadata", async (req, res) => {
   const db = await mongoUtil.getDb();
@@ -19,6 +16,12 @@ router.get("/metadata", async (req, res) => {
   if (!q) {
     return res.sendStatus(400);
   }
+  let filters;
+  try {
+    filters = Facets.parseFilters(req.query.filters, req.query.portal);
+  } catch (err) {
+    return res.sendStatus(400);
+  }
   let isUUID = false;
   // If the query is a UUID, we use it directly without performing a search
   q = q.trim();
@@ -110,17 +113,34 @@ router.get("/metadata", async (req, res) => {
       },
     ])
     .toArray();
-  const resourceIdsArray = resourceIds.map((r) => r.uuid);
+  // The duplicates of the matched datasets are replaced by their canonical
+  // resources, which may be published in other datasets
+  const canonicalIds = await Duplicates.getCanonicalIds(
+    db,
+    await db
+      .collection("metadata")
+      .distinct("resources.id", { id: { $in: metadataResults } })
+  );
+  const processedCanonicalIds = await db
+    .collection("inferredstats")
+    .distinct("uuid", { uuid: { $in: [...canonicalIds.values()] } });
+  const resourceIdsArray = [
+    ...new Set([...resourceIds.map((r) => r.uuid), ...processedCanonicalIds]),
+  ];
+  if (canonicalIds.has(resourceIdMatch)) {
+    resourceIdMatch = canonicalIds.get(resourceIdMatch);
+  }
   let resourceIdsSet = new Set(resourceIdsArray);
   if (resourceIdMatch && resourceIdsSet.has(resourceIdMatch)) {
     resourceIdsSet = new Set([resourceIdMatch]);
   }
 
+  const datasetsMatch = {
+    "resources.id": { $in: resourceIdsArray },
+  };
   const datasets = await db
     .collection("metadata")
-    .find({
-      "resources.id": { $in: resourceIdsArray },
-    })
+    .find({ $and: [datasetsMatch, Facets.createFiltersMatch(filters)] })
     .toArray();
 
   const dataSetDict = {};
@@ -128,91 +148,187 @@ router.get("/metadata", async (req, res) => {
     if (dataSetDict[d._id]) {
       continue;
     }
-    d.resources = d.resources.filter((r) => resourceIdsSet.has(r.id));
+    d.resources = d.resources.filter(
+      (r) => resourceIdsSet.has(r.id) && Facets.isResourceMatched(r, filters)
+    );
+    if (d.resources.length === 0) {
+      continue;
+    }
     for (let r of d.resources) {
       r.matches = {
         uuid: r.id,
         count: 0,
         columns: [],
         matches: [],
+        snippets: [],
       };
     }
     dataSetDict[d._id] = d;
   }
-  return res.send(Object.values(dataSetDict));
+  await Duplicates.annotateDatasets(db, Object.values(dataSetDict));
+  return res.send({
+    results: Object.values(dataSetDict),
+    facets: await Facets.computeFacets(db, datasetsMatch, filters),
+  });
 });
 
+// Returns the ids of the tables (in the form of the file ids of the indexed
+// rows) of the datasets satisfying the filters, or null if there is no filter
+const getFilteredFileIds = async (db, filters) => {
+  if (Object.keys(filters).length === 0) {
+    return null;
+  }
+  const resourceIds = await Facets.getFilteredResourceIds(db, filters);
+  // The duplicates are indexed with their canonical resources
+  const canonicalIds = await Duplicates.getCanonicalIds(db, resourceIds);
+  return [...resourceIds, ...canonicalIds.values()].map((r) =>
+    r.split("-").join("")
+  );
+};
+
+// Number of tables returned per page of row search results
+const PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+// The number of hits per page is bounded to keep the response small, and
+// shared by the tables of the page so that each gets its matches. The match
+// counts of the tables are not affected by this limit.
+const MAX_HITS_PER_PAGE = 10000;
+// Maximum number of matched tables whose datasets are counted in the facets
+const MAX_FACET_TABLES = 10000;
+
+const encodeCursor = (cursor) => {
+  return Buffer.from(JSON.stringify(cursor)).toString("base64");
+};
+
+const decodeCursor = (cursorString) => {
+  const cursor = JSON.parse(
+    Buffer.from(cursorString, "base64").toString("utf-8")
+  );
+  if (!cursor.after) {
+    throw new Error("Invalid cursor");
+  }
+  return cursor;
+};
+
 router.get("/", async (req, res) => {
   const db = await mongoUtil.getDb();
-  let keyword = req.query.q;
+  const keyword = req.query.q;
   if (!keyword) {
     return res.sendStatus(400);
   }
-  keyword = keyword.toLowerCase().trim();
-  const splittedKeywords = keyword.split(" ");
-  const must = [];
-  splittedKeywords.forEach((k) => {
-    must.push({ term: { values: k } });
-  });
-  const query = {
-    bool: {
-      should: [
-        // { match: { values: keyword } },
-        {
-          bool: {
-            must,
-          },
-        },
-      ],
-    },
-  };
-  // console.log(JSON.stringify(query, null, 2));
-  const found = await client.search({
-    index: config.elasticsearch.index,
-    body: {
-      from: 0,
-      size: 8000,
-
-      query,
-    },
-  });
-  const documentsMatchedDict = {};
-  found.body.hits.hits.forEach((b) => {
-    const uuid = adddashestouuid(b._source.file_id.split("-").join(""));
-    const matchedFields = [];
-
-    for (let i = 0; i < b._source.values.length; ++i) {
-      const k = b._source.fields[i];
-      const v = String(b._source.values[i]).toLowerCase();
-      if (v.includes(keyword)) {
-        matchedFields.push(k);
-        continue;
-      }
-      for (let kw of splittedKeywords) {
-        if (v.includes(kw)) {
-          matchedFields.push(k);
-          break;
-        }
-      }
+  let pageSize = Number.parseInt(req.query.page_size);
+  if (Number.isNaN(pageSize)) {
+    pageSize = PAGE_SIZE;
+  }
+  if (pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+    return res.sendStatus(400);
+  }
+  let filters;
+  try {
+    filters = Facets.parseFilters(req.query.filters, req.query.portal);
+  } catch (err) {
+    return res.sendStatus(400);
+  }
+  let cursor;
+  if (req.query.cursor) {
+    try {
+      cursor = decodeCursor(req.query.cursor);
+    } catch (err) {
+      return res.sendStatus(400);
     }
-    if (matchedFields.length === 0) {
-      return;
+  }
+  let parsedQuery;
+  try {
+    parsedQuery = QueryParser.parse(keyword);
+  } catch (err) {
+    if (err instanceof QueryParser.QueryParserError) {
+      return res
+        .status(400)
+        .send({ error: err.message, position: err.position });
     }
+    throw err;
+  }
+  const provider = getSearchProvider();
+  const filteredFileIds = await getFilteredFileIds(db, filters);
+  let page, hits, facetFileIds;
+  try {
+    let session = cursor ? cursor.session : await provider.openSession();
+    // The facets are only counted with the first page
+    if (!cursor) {
+      const matched = await provider.searchMatchedFileIds(parsedQuery, {
+        session,
+        limit: MAX_FACET_TABLES,
+      });
+      session = matched.session;
+      facetFileIds = matched.fileIds;
+    }
+    page = await provider.searchTablesPage(parsedQuery, {
+      session,
+      after: cursor ? cursor.after : null,
+      pageSize,
+      countTables: !cursor,
+      fileIds: filteredFileIds,
+    });
+    hits =
+      page.tables.length > 0
+        ? await provider.searchTableRows(parsedQuery, {
+            session: page.session,
+            fileIds: page.tables.map((t) => t.fileId),
+            maxRowsPerTable: Math.floor(MAX_HITS_PER_PAGE / page.tables.length),
+          })
+        : [];
+  } catch (err) {
+    if (err instanceof SessionExpiredError) {
+      return res.sendStatus(410);
+    }
+    throw err;
+  }
+  const totalTables = cursor ? cursor.total_tables : page.tableCount;
+  let nextCursor = null;
+  if (page.tables.length === pageSize && page.after) {
+    nextCursor = encodeCursor({
+      session: page.session,
+      after: page.after,
+      total_tables: totalTables,
+    });
+  } else {
+    await provider.closeSession(page.session);
+  }
 
-    if (!documentsMatchedDict[uuid]) {
-      documentsMatchedDict[uuid] = {
-        uuid,
-        count: 0,
-        columns: new Set(),
-        matches: [],
-      };
+  const documentsMatchedDict = {};
+  page.tables.forEach((b) => {
+    const uuid = adddashestouuid(b.fileId.split("-").join(""));
+    documentsMatchedDict[uuid] = {
+      uuid,
+      count: b.count,
+      columns: new Set(),
+      matches: [],
+      snippets: [],
+    };
+  });
+  hits.forEach((row) => {
+    const uuid = adddashestouuid(row.file_id.split("-").join(""));
+    const matchedIndexes = QueryParser.matchColumnIndexes(
+      parsedQuery,
+      row.fields,
+      row.values,
+      QueryParser.MATCH_MODES.WORDS
+    );
+    if (matchedIndexes.length === 0 || !documentsMatchedDict[uuid]) {
+      return;
     }
-    documentsMatchedDict[uuid].count += 1;
+    Snippets.addSnippet(
+      documentsMatchedDict[uuid],
+      parsedQuery,
+      row,
+      matchedIndexes
+    );
+    const matchedFields = matchedIndexes.map((i) => row.fields[i]);
     matchedFields.forEach((f) => {
       documentsMatchedDict[uuid].columns.add(f);
       documentsMatchedDict[uuid].matches.push({
         field_name: f,
-        row_number: b._source.row_number,
+        row_number: row.row_number,
       });
     });
   });
@@ -242,7 +358,330 @@ router.get("/", async (req, res) => {
   const output = Object.values(dataSetDict).sort(
     (a, b) => b.matched_count - a.matched_count
   );
-  res.send(output);
+  await Duplicates.annotateDatasets(db, output);
+  const facets = facetFileIds
+    ? await Facets.computeFacets(
+        db,
+        {
+          "resources.id": {
+            $in: facetFileIds.map((f) => adddashestouuid(f)),
+          },
+        },
+        filters
+      )
+    : null;
+  res.send({
+    results: output,
+    total_tables: totalTables,
+    facets,
+    cursor: nextCursor,
+  });
+});
+
+// Why a dataset or a resource is part of the hybrid search results
+const MATCH_REASONS = {
+  TITLE: "title",
+  DESCRIPTION: "description",
+  COLUMN_NAME: "column_name",
+  CELL_VALUES: "cell_values",
+  // Matched by the text index on another metadata field (e.g. the topics)
+  METADATA: "metadata",
+};
+// Number of sample rows of each table used to find the matched columns and
+// the snippets
+const HYBRID_SAMPLE_ROWS = 10;
+
+const DEFAULT_RANKING = {
+  metadataWeight: 1,
+  rowsWeight: 1,
+  matchBoosts: {
+    title: 0.5,
+    description: 0.2,
+    column_name: 0.3,
+    cell_values: 0,
+  },
+  maxDatasets: 100,
+  maxTables: 100,
+};
+
+const mergeRanking = (ranking, overrides) => {
+  return {
+    ...ranking,
+    ...overrides,
+    matchBoosts: {
+      ...ranking.matchBoosts,
+      ...(overrides.matchBoosts || {}),
+    },
+  };
+};
+
+// The ranking of the hybrid search defaults to the `search.ranking` section
+// of the config, whose max numbers of datasets and tables bound the searches
+const getRanking = () => {
+  return mergeRanking(
+    DEFAULT_RANKING,
+    (config.search && config.search.ranking) || {}
+  );
+};
+
+// The ranking of the datasets of a portal can be tuned with its
+// `searchRanking`. The datasets imported before the portals were configured
+// belong to the first portal.
+const getPortalRanking = (portalId) => {
+  const portal =
+    config.portals.find((p) => p.id === portalId) || config.portals[0];
+  return portal && portal.searchRanking
+    ? mergeRanking(getRanking(), portal.searchRanking)
+    : getRanking();
+};
+
+// Builds the MongoDB text search of the unscoped terms of the query. Returns
+// an empty string if there is no such term to search for.
+const toTextSearch = (terms) => {
+  const unscopedTerms = terms.filter((t) => !t.term.field);
+  if (unscopedTerms.every((t) => t.negated)) {
+    return "";
+  }
+  return unscopedTerms
+    .map((t) => {
+      const value = t.term.phrase ? `"${t.term.value}"` : t.term.value;
+      return t.negated ? `-${value}` : value;
+    })
+    .join(" ");
+};
+
+const containsTerm = (text, terms) => {
+  if (!text) {
+    return false;
+  }
+  const lowered = String(text).toLowerCase();
+  return terms.some((t) => lowered.includes(t.value));
+};
+
+const searchMetadataHits = async (db, textSearch, filters, limit) => {
+  return await db
+    .collection("metadata")
+    .find(
+      {
+        $and: [
+          { $text: { $search: textSearch } },
+          Facets.createFiltersMatch(filters),
+        ],
+      },
+      { projection: { score: { $meta: "textScore" } } }
+    )
+    .sort({ score: { $meta: "textScore" } })
+    .limit(limit)
+    .toArray();
+};
+
+// Returns the tables with the most matched rows, with the columns matched by
+// a sample of their rows
+const searchMatchedTables = async (parsedQuery, limit, fileIds) => {
+  const tables = await getSearchProvider().searchTopTables(parsedQuery, {
+    limit,
+    sampleSize: HYBRID_SAMPLE_ROWS,
+    fileIds,
+  });
+  return tables.map((t) => {
+    const columns = new Set();
+    const tableMatches = {
+      uuid: adddashestouuid(t.fileId),
+      count: t.count,
+      columns: [],
+      matches: [],
+      snippets: [],
+    };
+    for (let row of t.rows) {
+      const matchedIndexes = QueryParser.matchColumnIndexes(
+        parsedQuery,
+        row.fields,
+        row.values,
+        QueryParser.MATCH_MODES.WORDS
+      );
+      Snippets.addSnippet(tableMatches, parsedQuery, row, matchedIndexes);
+      matchedIndexes.forEach((i) => {
+        const f = row.fields[i];
+        columns.add(f);
+        tableMatches.matches.push({
+          field_name: f,
+          row_number: row.row_number,
+        });
+      });
+    }
+    tableMatches.columns = [...columns];
+    return tableMatches;
+  });
+};
+
+router.get("/hybrid", async (req, res) => {
+  const db = await mongoUtil.getDb();
+  const keyword = req.query.q;
+  if (!keyword) {
+    return res.sendStatus(400);
+  }
+  let filters;
+  try {
+    filters = Facets.parseFilters(req.query.filters, req.query.portal);
+  } catch (err) {
+    return res.sendStatus(400);
+  }
+  let parsedQuery;
+  try {
+    parsedQuery = QueryParser.parse(keyword);
+  } catch (err) {
+    if (err instanceof QueryParser.QueryParserError) {
+      return res
+        .status(400)
+        .send({ error: err.message, position: err.position });
+    }
+    throw err;
+  }
+  const ranking = getRanking();
+  const terms = QueryParser.getTerms(parsedQuery);
+  const positiveTerms = terms.filter((t) => !t.negated).map((t) => t.term);
+  const textSearch = toTextSearch(terms);
+
+  const [metadataHits, matchedTables] = await Promise.all([
+    textSearch
+      ? searchMetadataHits(db, textSearch, filters, ranking.maxDatasets)
+      : [],
+    getFilteredFileIds(db, filters).then((fileIds) =>
+      searchMatchedTables(parsedQuery, ranking.maxTables, fileIds)
+    ),
+  ]);
+
+  const tablesDict = {};
+  matchedTables.forEach((t) => (tablesDict[t.uuid] = t));
+  // The datasets are keyed by their document ids, as the same dataset id may
+  // be published by several portals
+  const textScores = {};
+  metadataHits.forEach((d) => (textScores[d._id] = d.score));
+  // The duplicates of the matched datasets are replaced by their canonical
+  // resources, which may be published in other datasets
+  const canonicalIds = await Duplicates.getCanonicalIds(
+    db,
+    metadataHits.flatMap((d) => (d.resources || []).map((r) => r.id))
+  );
+  const duplicatedIds = new Set(canonicalIds.values());
+  const rowDatasets = await db
+    .collection("metadata")
+    .find({
+      $and: [
+        {
+          _id: { $nin: metadataHits.map((d) => d._id) },
+          "resources.id": {
+            $in: [...Object.keys(tablesDict), ...duplicatedIds],
+          },
+        },
+        Facets.createFiltersMatch(filters),
+      ],
+    })
+    .toArray();
+  const datasets = [...metadataHits, ...rowDatasets];
+
+  // Only the resources which have been processed can be opened
+  const indexedResources = new Set(
+    (
+      await db
+        .collection("inferredstats")
+        .find(
+          {
+            uuid: {
+              $in: datasets.flatMap((d) =>
+                (d.resources || []).map((r) => r.id)
+              ),
+            },
+          },
+          { projection: { _id: false, uuid: true } }
+        )
+        .toArray()
+    ).map((s) => s.uuid)
+  );
+
+  // Both scores are normalized to [0, 1] before being weighted
+  const maxTextScore = Math.max(0, ...Object.values(textScores));
+  const maxRowsScore = Math.log1p(
+    Math.max(0, ...matchedTables.map((t) => t.count))
+  );
+  const boost = (datasetRanking, reasons) =>
+    reasons.reduce((sum, r) => sum + (datasetRanking.matchBoosts[r] || 0), 0);
+
+  const results = [];
+  for (let d of datasets) {
+    const datasetRanking = getPortalRanking(d.portal);
+    const isTextMatched = d._id in textScores;
+    d.match_reasons = [];
+    if (isTextMatched) {
+      if (containsTerm(d.title, positiveTerms)) {
+        d.match_reasons.push(MATCH_REASONS.TITLE);
+      }
+      if (containsTerm(d.notes, positiveTerms)) {
+        d.match_reasons.push(MATCH_REASONS.DESCRIPTION);
+      }
+    }
+    d.resources = (d.resources || []).filter(
+      (r) =>
+        indexedResources.has(r.id) &&
+        (isTextMatched || r.id in tablesDict || duplicatedIds.has(r.id)) &&
+        Facets.isResourceMatched(r, filters)
+    );
+    for (let r of d.resources) {
+      r.match_reasons = [];
+      if (isTextMatched) {
+        if (containsTerm(r.name, positiveTerms)) {
+          r.match_reasons.push(MATCH_REASONS.TITLE);
+        }
+        if (containsTerm(r.description, positiveTerms)) {
+          r.match_reasons.push(MATCH_REASONS.DESCRIPTION);
+        }
+        if ((r.fields || []).some((f) => containsTerm(f.name, positiveTerms))) {
+          r.match_reasons.push(MATCH_REASONS.COLUMN_NAME);
+        }
+      }
+      r.matches = tablesDict[r.id] || {
+        uuid: r.id,
+        count: 0,
+        columns: [],
+        matches: [],
+        snippets: [],
+      };
+      let rowsScore = 0;
+      if (r.matches.count > 0) {
+        r.match_reasons.push(MATCH_REASONS.CELL_VALUES);
+        rowsScore = maxRowsScore
+          ? Math.log1p(r.matches.count) / maxRowsScore
+          : 0;
+      }
+      r.score =
+        datasetRanking.rowsWeight * rowsScore +
+        boost(datasetRanking, r.match_reasons);
+    }
+    if (d.resources.length === 0) {
+      continue;
+    }
+    d.resources.sort((a, b) => b.score - a.score);
+    if (isTextMatched && d.match_reasons.length === 0) {
+      d.match_reasons.push(MATCH_REASONS.METADATA);
+    }
+    const textScore =
+      isTextMatched && maxTextScore ? d.score / maxTextScore : 0;
+    d.score =
+      datasetRanking.metadataWeight * textScore +
+      boost(datasetRanking, d.match_reasons) +
+      d.resources[0].score;
+    d.matched_count = d.resources.reduce((sum, r) => sum + r.matches.count, 0);
+    results.push(d);
+  }
+  results.sort((a, b) => b.score - a.score);
+  await Duplicates.annotateDatasets(db, results);
+  // The counts are those of the ranked results
+  const facets = await Facets.computeFacets(
+    db,
+    { _id: { $in: results.map((d) => d._id) } },
+    {}
+  );
+  res.send({ results, facets });
 });
 
 module.exports = router;
@@ -0,0 +1,132 @@
+// Search providers index the rows of the tables and run the row search. The
+// provider is selected with `search.provider` in the config, so that small
+// deployments can do without an Elasticsearch cluster. The rows are
+// documents of the form {file_id, portal, row_number, fields, values, cells},
+// where the file id is the UUID of the table without dashes, the portal is the
+// id of the portal of its dataset and the cells keep the typed copies of the
+// values (see ValueParser.parseTypedCopies). The queries are parsed with
+// QueryParser, and the hits are checked again against the query by the route,
+// so providers may return more rows than the query matches but not fewer.
+const config = require("../../app.config.json");
+
+// Thrown when the search session of a cursor has expired
+class SessionExpiredError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "SessionExpiredError";
+  }
+}
+
+class SearchProvider {
+  // Creates a new version of the index, into which the rows are indexed from
+  // then on. Providers without versions replace the existing index.
+  async createIndex() {
+    throw new Error("Not implemented");
+  }
+
+  // Returns the versions of the index, oldest first, with the one read by
+  // the searches and the one written to:
+  // {versions, published, writing}
+  async getIndexVersions() {
+    return { versions: [], published: null, writing: null };
+  }
+
+  // Makes the searches read the version being written, in one step
+  // Returns {published, pruned} with the names of the deleted old versions
+  async publishIndex() {
+    throw new Error("The index has no versions");
+  }
+
+  // Makes the searches read the previously published version again
+  // Returns {published}
+  async rollbackIndex() {
+    throw new Error("The index has no versions");
+  }
+
+  // Returns the numbers of rows of the tables in the version being written,
+  // by file id
+  async countTableRows() {
+    throw new Error("Not implemented");
+  }
+
+  // Indexes a batch of rows: indexRows(rows)
+  // Returns the rows which could not be indexed, with the reasons:
+  // [{row_number, reason}]
+  async indexRows() {
+    throw new Error("Not implemented");
+  }
+
+  // Removes the rows of a table from the index: deleteTable(fileId, after)
+  // Only the rows numbered after `after` are removed if it is given
+  async deleteTable() {
+    throw new Error("Not implemented");
+  }
+
+  // openSession() and closeSession(session)
+  // Opens a session in which the paginated searches see the same data, the
+  // returned session (which may be null) is passed to the next searches
+  async openSession() {
+    return null;
+  }
+
+  async closeSession() {}
+
+  // searchTablesPage(query, {session, after, pageSize, countTables, fileIds})
+  // Returns one page of the matched tables ordered by file id, with their
+  // numbers of matched rows:
+  // {session, tables: [{fileId, count}], after, tableCount}
+  // `after` is passed back to get the next page, `tableCount` is only
+  // computed if `countTables` is set. The search can be restricted to the
+  // tables of `fileIds`.
+  async searchTablesPage() {
+    throw new Error("Not implemented");
+  }
+
+  // searchTableRows(query, {session, fileIds, maxRowsPerTable})
+  // Returns up to `maxRowsPerTable` matched rows of each of the given tables,
+  // ordered by file id and row number
+  async searchTableRows() {
+    throw new Error("Not implemented");
+  }
+
+  // searchMatchedFileIds(query, {session, limit})
+  // Returns the ids of up to `limit` matched tables: {session, fileIds}
+  async searchMatchedFileIds() {
+    throw new Error("Not implemented");
+  }
+
+  // searchTopTables(query, {limit, sampleSize, fileIds})
+  // Returns the `limit` tables with the most matched rows, with the first
+  // `sampleSize` matched rows of each: [{fileId, count, rows}]
+  async searchTopTables() {
+    throw new Error("Not implemented");
+  }
+
+  // Releases the connections, used by the scripts before exiting
+  async close() {}
+}
+
+let provider;
+
+const getSearchProvider = () => {
+  if (!provider) {
+    const name = (config.search && config.search.provider) || "elasticsearch";
+    switch (name) {
+      case "elasticsearch":
+        provider = new (require("./ElasticSearchProvider"))();
+        break;
+      case "mongodb":
+        provider = new (require("./MongoSearchProvider"))();
+        break;
+      default:
+        throw new Error(`Unknown search provider: ${name}`);
+    }
+  }
+  return provider;
+};
+
+module.exports = {
+  SessionExpiredError,
+  SearchProvider,
+  getSearchProvider,
+};
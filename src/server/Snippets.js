@@ -0,0 +1,119 @@
+// Snippets of the matched rows returned with the search results, so that the
+// matched values can be shown without opening the tables. A snippet is the
+// first matched cell of a row with the cells of the neighbouring columns.
+const QueryParser = require("../QueryParser");
+
+// Max number of snippets returned for each table
+const MAX_SNIPPETS_PER_TABLE = 3;
+// Number of columns shown on each side of the matched cell
+const CONTEXT_COLUMNS = 2;
+// The values of the neighbouring columns are truncated to this length
+const MAX_CONTEXT_VALUE_LENGTH = 50;
+// The matched values are truncated to a window of this length, starting a
+// little before their first highlight
+const MAX_MATCHED_VALUE_LENGTH = 200;
+const MATCH_LEADING_LENGTH = 50;
+const ELLIPSIS = "…";
+
+const truncate = (value) => {
+  if (value === null || value === undefined) {
+    return value;
+  }
+  const string = String(value);
+  return string.length > MAX_CONTEXT_VALUE_LENGTH
+    ? `${string.slice(0, MAX_CONTEXT_VALUE_LENGTH)}${ELLIPSIS}`
+    : string;
+};
+
+// Returns the value of a matched cell truncated around its first highlight,
+// with its highlights moved into the truncated value
+const truncateMatched = (value, highlights) => {
+  const string = String(value);
+  if (string.length <= MAX_MATCHED_VALUE_LENGTH) {
+    return { value, highlights };
+  }
+  const first = highlights.length > 0 ? highlights[0][0] : 0;
+  const start = Math.max(
+    0,
+    Math.min(
+      first - MATCH_LEADING_LENGTH,
+      string.length - MAX_MATCHED_VALUE_LENGTH
+    )
+  );
+  const end = start + MAX_MATCHED_VALUE_LENGTH;
+  const prefix = start > 0 ? ELLIPSIS : "";
+  const offset = prefix.length - start;
+  return {
+    value: `${prefix}${string.slice(start, end)}${
+      end < string.length ? ELLIPSIS : ""
+    }`,
+    highlights: highlights
+      .filter(([s, e]) => e > start && s < end)
+      .map(([s, e]) => [
+        Math.max(s, start) + offset,
+        Math.min(e, end) + offset,
+      ]),
+  };
+};
+
+// Returns the snippet of a row given the indexes of its matched columns
+const createSnippet = (parsedQuery, source, matchedIndexes) => {
+  const { fields, values } = source;
+  const matchedIndex = matchedIndexes[0];
+  const start = Math.max(0, matchedIndex - CONTEXT_COLUMNS);
+  const end = Math.min(fields.length, matchedIndex + CONTEXT_COLUMNS + 1);
+  const cells = [];
+  for (let i = start; i < end; ++i) {
+    if (
+      !matchedIndexes.includes(i) ||
+      values[i] === null ||
+      values[i] === undefined
+    ) {
+      cells.push({
+        field_name: fields[i],
+        value: truncate(values[i]),
+        highlights: [],
+      });
+      continue;
+    }
+    cells.push({
+      field_name: fields[i],
+      ...truncateMatched(
+        values[i],
+        QueryParser.getHighlights(
+          parsedQuery,
+          fields[i],
+          values[i],
+          QueryParser.MATCH_MODES.WORDS
+        )
+      ),
+    });
+  }
+  return {
+    row_number: source.row_number,
+    field_name: fields[matchedIndex],
+    cells,
+  };
+};
+
+// Adds the snippet of a matched row to the matches of its table, unless the
+// table already has enough snippets
+const addSnippet = (tableMatches, parsedQuery, source, matchedIndexes) => {
+  if (!tableMatches.snippets) {
+    tableMatches.snippets = [];
+  }
+  if (
+    matchedIndexes.length === 0 ||
+    tableMatches.snippets.length >= MAX_SNIPPETS_PER_TABLE
+  ) {
+    return;
+  }
+  tableMatches.snippets.push(
+    createSnippet(parsedQuery, source, matchedIndexes)
+  );
+};
+
+module.exports = {
+  MAX_SNIPPETS_PER_TABLE,
+  addSnippet,
+};
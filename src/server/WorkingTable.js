@@ -0,0 +1,467 @@
+// Computes the working tables too large for DuckDB-wasm in the browser with
+// DuckDB on the server, against the Parquet files of their tables. Each
+// request sends the plan of the working table (its histories with their
+// joined tables, the keywords, the sort and the focused components), from
+// which the same query as in the browser is built (see DuckDBQueryBuilder),
+// and the rows are returned one page at a time. The plan only refers to the
+// tables and their columns by name, their schemas are read from inferredstats.
+const express = require("express");
+const router = express.Router();
+const path = require("path");
+const { once } = require("events");
+const FsPromises = require("fs/promises");
+const csvStringify = require("csv-stringify/sync").stringify;
+const mongoUtil = require("./MongoUtil");
+const ParquetCache = require("./ParquetCache");
+const PGEscape = require("../PGEscape");
+const QueryParser = require("../QueryParser");
+const DuckDBQueryBuilder = require("../DuckDBQueryBuilder");
+const config = require("../../app.config.json");
+
+const COLLECTION = "inferredstats";
+const CSV_BASE_PATH = path.join(__dirname, "..", "..", "data", "files");
+const TEMP_DIRECTORY_PATH = path.join(__dirname, "..", "..", "data", "duckdb");
+const { ROW_ID } = DuckDBQueryBuilder;
+
+const MAX_PAGE_SIZE = 1000;
+const MAX_HISTORIES = 100;
+// The table ids are written in the queries (see `__table_id`)
+const ID_PATTERN = /^[\w-]+$/;
+
+class PlanError extends Error {}
+
+let database = null;
+
+// The database is in memory, and spills to disk beyond its memory limit. The
+// native module is only loaded once a working table is computed here.
+const getDatabase = () => {
+  if (!database) {
+    const duckdb = require("duckdb");
+    const duckdbConfig = config.duckdb || {};
+    const options = { temp_directory: TEMP_DIRECTORY_PATH };
+    if (duckdbConfig.memoryLimit) {
+      options.memory_limit = duckdbConfig.memoryLimit;
+    }
+    if (duckdbConfig.threads) {
+      options.threads = String(duckdbConfig.threads);
+    }
+    database = new duckdb.Database(":memory:", options);
+  }
+  return database;
+};
+
+const all = (conn, query) => {
+  return new Promise((resolve, reject) => {
+    conn.all(query, (err, rows) => (err ? reject(err) : resolve(rows)));
+  });
+};
+
+const close = (conn) => {
+  return new Promise((resolve) => conn.close(() => resolve()));
+};
+
+// Runs `callback` with a new connection, closed once it is done
+const withConnection = async (callback) => {
+  const conn = getDatabase().connect();
+  try {
+    return await callback(conn);
+  } finally {
+    await close(conn);
+  }
+};
+
+// The big integers of DuckDB (e.g. the row ids and the counts) are sent as
+// numbers
+const toJSONRow = (row) => {
+  const jsonRow = {};
+  for (let k in row) {
+    jsonRow[k] = typeof row[k] === "bigint" ? Number(row[k]) : row[k];
+  }
+  return jsonRow;
+};
+
+// The ETags of the Parquet files of the views by uuid
+const tableViews = new Map();
+
+// Creates the view of a table over its Parquet file, named by its uuid like
+// the tables loaded in the browser, with the numbers of the rows from 1. The
+// view is created again when the Parquet file changed in the cache. The
+// Parquet file is kept in the cache until it is released.
+const createTableView = async (stats) => {
+  const file = await ParquetCache.getFile(stats);
+  if (tableViews.get(stats.uuid) === file.etag) {
+    return;
+  }
+  try {
+    await withConnection((conn) =>
+      all(
+        conn,
+        `CREATE OR REPLACE VIEW "${
+          stats.uuid
+        }" AS SELECT * EXCLUDE (file_row_number), file_row_number + 1 AS "${ROW_ID}" FROM read_parquet(${PGEscape(
+          "%L",
+          file.path
+        )}, file_row_number = true)`
+      )
+    );
+  } catch (err) {
+    ParquetCache.releaseFile(stats.uuid);
+    throw err;
+  }
+  tableViews.set(stats.uuid, file.etag);
+};
+
+// Runs `callback` with a new connection once the views of the tables, whose
+// stats are given by uuid, are created. Their Parquet files are kept in the
+// cache until it is done, since the views read them at each query.
+const withTableViews = async (stats, callback) => {
+  const statsList = Object.values(stats);
+  const results = await Promise.allSettled(
+    statsList.map((s) => createTableView(s))
+  );
+  try {
+    const failure = results.find((r) => r.status === "rejected");
+    if (failure) {
+      throw failure.reason;
+    }
+    return await withConnection(callback);
+  } finally {
+    statsList.forEach((s, i) => {
+      if (results[i].status === "fulfilled") {
+        ParquetCache.releaseFile(s.uuid);
+      }
+    });
+  }
+};
+
+const isId = (id) => typeof id === "string" && ID_PATTERN.test(id);
+
+const isStringArray = (array) => {
+  return Array.isArray(array) && array.every((s) => typeof s === "string");
+};
+
+// Reads the statistics of the tables, which must all be processed
+const findStats = async (uuids) => {
+  const db = await mongoUtil.getDb();
+  const found = await db
+    .collection(COLLECTION)
+    .find({ uuid: { $in: [...uuids] } })
+    .toArray();
+  const stats = {};
+  found.forEach((s) => (stats[s.uuid] = s));
+  const missing = [...uuids].filter((uuid) => !stats[uuid]);
+  if (missing.length > 0) {
+    throw new PlanError(`Unknown tables: ${missing.join(", ")}`);
+  }
+  return stats;
+};
+
+// Validates a plan sent by the browser (see ServerDuckDB.js), and builds the
+// query of its working table:
+// - histories: [{ table: { id }, resourceStats: { uuid }, joinedTables }],
+//   with the joined tables by id: { sourceKey, targetKey, columns }
+// - keywords: the filter keywords, in the row search syntax
+// - sortConfig: { key, order, isNumeric }, the key being a working table
+//   column (e.g. `column_0`)
+// - focusedIds: the ids of the tables of the focused component
+const loadPlan = async (plan) => {
+  if (!plan || typeof plan !== "object") {
+    throw new PlanError("Missing plan");
+  }
+  const histories = plan.histories;
+  if (
+    !Array.isArray(histories) ||
+    histories.length === 0 ||
+    histories.length > MAX_HISTORIES
+  ) {
+    throw new PlanError("Invalid histories");
+  }
+  const uuids = new Set();
+  for (let h of histories) {
+    if (
+      !h ||
+      !h.table ||
+      !isId(h.table.id) ||
+      !h.resourceStats ||
+      !isId(h.resourceStats.uuid)
+    ) {
+      throw new PlanError("Invalid history");
+    }
+    uuids.add(h.resourceStats.uuid);
+    for (let [uuid, j] of Object.entries(h.joinedTables || {})) {
+      if (!isId(uuid) || !j || !isStringArray(j.columns || [])) {
+        throw new PlanError("Invalid joined table");
+      }
+      uuids.add(uuid);
+    }
+  }
+  const stats = await findStats(uuids);
+  const plannedHistories = histories.map((h) => {
+    const joinedTables = {};
+    for (let [uuid, j] of Object.entries(h.joinedTables || {})) {
+      const fieldNames = stats[uuid].schema.fields.map((f) => f.name);
+      if (!fieldNames.includes(j.targetKey)) {
+        throw new PlanError(`Unknown column: ${j.targetKey}`);
+      }
+      joinedTables[uuid] = {
+        sourceKey: j.sourceKey,
+        targetKey: j.targetKey,
+        columns: j.columns || [],
+        targetResourceStats: stats[uuid],
+      };
+    }
+    const resourceStats = stats[h.resourceStats.uuid];
+    for (let j of Object.values(joinedTables)) {
+      if (!resourceStats.schema.fields.find((f) => f.name === j.sourceKey)) {
+        throw new PlanError(`Unknown column: ${j.sourceKey}`);
+      }
+    }
+    return { table: { id: h.table.id }, resourceStats, joinedTables };
+  });
+  const keywords = plan.keywords || [];
+  if (!isStringArray(keywords)) {
+    throw new PlanError("Invalid keywords");
+  }
+  const componentIds = DuckDBQueryBuilder.getComponentIds(plannedHistories);
+  let focusedIds = null;
+  if (plan.focusedIds) {
+    if (
+      !isStringArray(plan.focusedIds) ||
+      !plan.focusedIds.every((id) => componentIds.has(id))
+    ) {
+      throw new PlanError("Invalid focused tables");
+    }
+    focusedIds = new Set(plan.focusedIds);
+  }
+  const { workingTableColumns } =
+    DuckDBQueryBuilder.createColumnMappingForHistories(plannedHistories);
+  let sortConfig = null;
+  if (plan.sortConfig && plan.sortConfig.key) {
+    if (!(plan.sortConfig.key in workingTableColumns)) {
+      throw new PlanError(`Unknown sort column: ${plan.sortConfig.key}`);
+    }
+    sortConfig = {
+      key: plan.sortConfig.key,
+      order: plan.sortConfig.order === "desc" ? "desc" : "asc",
+      isNumeric: !!plan.sortConfig.isNumeric,
+    };
+  }
+  const { query } = DuckDBQueryBuilder.createWorkingTableQuery(
+    plannedHistories,
+    keywords,
+    sortConfig,
+    focusedIds
+  );
+  return { query, workingTableColumns, stats };
+};
+
+const sendError = (res, err) => {
+  if (err instanceof QueryParser.QueryParserError) {
+    return res.status(400).send({ error: err.message, position: err.position });
+  }
+  if (err instanceof PlanError) {
+    return res.status(400).send({ error: err.message });
+  }
+  if (err instanceof ParquetCache.MissingFileError) {
+    return res.status(404).send({ error: err.message });
+  }
+  console.error(err);
+  return res.status(500).send({ error: err.message });
+};
+
+// The sizes in bytes of the CSV files of the tables, from which the browser
+// estimates whether a working table can be computed by DuckDB-wasm
+router.get("/sizes", async (req, res) => {
+  const uuids = (req.query.uuids || "").split(",").filter((u) => u);
+  if (uuids.length === 0 || !uuids.every((u) => isId(u))) {
+    return res.sendStatus(400);
+  }
+  const sizes = {};
+  for (let uuid of uuids) {
+    try {
+      sizes[uuid] = (
+        await FsPromises.stat(path.join(CSV_BASE_PATH, `${uuid}.csv`))
+      ).size;
+    } catch (err) {
+      sizes[uuid] = 0;
+    }
+  }
+  return res.send({ sizes });
+});
+
+// Returns the rows of a page of the working table
+router.post("/rows", async (req, res) => {
+  const { plan, pageIndex, pageSize } = req.body;
+  if (
+    !Number.isInteger(pageIndex) ||
+    !Number.isInteger(pageSize) ||
+    pageIndex < 1 ||
+    pageSize < 1 ||
+    pageSize > MAX_PAGE_SIZE
+  ) {
+    return res.sendStatus(400);
+  }
+  try {
+    const { query, stats } = await loadPlan(plan);
+    const rows = await withTableViews(stats, (conn) =>
+      all(
+        conn,
+        `SELECT * FROM (${query})${DuckDBQueryBuilder.createPaginationSubquery(
+          pageIndex,
+          pageSize
+        )}`
+      )
+    );
+    return res.send({ rows: rows.map((r) => toJSONRow(r)) });
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
+
+router.post("/count", async (req, res) => {
+  try {
+    const { query, stats } = await loadPlan(req.body.plan);
+    const rows = await withTableViews(stats, (conn) =>
+      all(conn, `SELECT COUNT(*) AS "count" FROM (${query})`)
+    );
+    return res.send({ count: Number(rows[0].count) });
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
+
+// The offset of the first row of a component in the working table
+router.post("/offset", async (req, res) => {
+  const componentIds = req.body.componentIds;
+  if (!isStringArray(componentIds) || !componentIds.every((id) => isId(id))) {
+    return res.sendStatus(400);
+  }
+  try {
+    const { query, stats } = await loadPlan(req.body.plan);
+    const rows = await withTableViews(stats, (conn) =>
+      all(
+        conn,
+        DuckDBQueryBuilder.createFirstRowOffsetQuery(`(${query})`, componentIds)
+      )
+    );
+    return res.send({
+      offset: rows.length > 0 ? Number(rows[0].offset) - 1 : null,
+    });
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
+
+// The rows of a joined table joined with a row of the main table, for the
+// provenance of the cells of the joined columns
+router.post("/joinedrows", async (req, res) => {
+  const {
+    mainTableId,
+    tableId,
+    sourceKeyIndex,
+    targetKeyIndex,
+    targetIndex,
+    rowId,
+  } = req.body;
+  if (
+    !isId(mainTableId) ||
+    !isId(tableId) ||
+    ![sourceKeyIndex, targetKeyIndex, targetIndex, rowId].every((i) =>
+      Number.isInteger(i)
+    )
+  ) {
+    return res.sendStatus(400);
+  }
+  try {
+    const stats = await findStats(new Set([mainTableId, tableId]));
+    const rows = await withTableViews(stats, (conn) =>
+      all(
+        conn,
+        DuckDBQueryBuilder.createJoinedRowsQuery(
+          mainTableId,
+          tableId,
+          sourceKeyIndex,
+          targetKeyIndex,
+          targetIndex,
+          rowId
+        )
+      )
+    );
+    return res.send({
+      rows: rows.map((r) => {
+        return { rowId: Number(r[ROW_ID]), value: r[targetIndex] };
+      }),
+    });
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
+
+// Streams the given columns of the working table as a CSV file. The request
+// is a form submitted by the browser (so that the file is downloaded without
+// being buffered), with the plan and the columns in JSON.
+router.post(
+  "/csv",
+  express.urlencoded({ extended: false, limit: "16mb" }),
+  async (req, res) => {
+    let plan, columns;
+    try {
+      plan = JSON.parse(req.body.plan);
+      columns = JSON.parse(req.body.columns);
+    } catch (err) {
+      return res.sendStatus(400);
+    }
+    let query, workingTableColumns, stats;
+    try {
+      ({ query, workingTableColumns, stats } = await loadPlan(plan));
+    } catch (err) {
+      return sendError(res, err);
+    }
+    if (
+      !isStringArray(columns) ||
+      columns.length === 0 ||
+      !columns.every((c) => c in workingTableColumns)
+    ) {
+      return res.sendStatus(400);
+    }
+    const name = isId(req.body.name) ? req.body.name : "WorkingTable";
+    try {
+      await withTableViews(stats, async (conn) => {
+        res.setHeader("content-type", "text/csv");
+        res.setHeader(
+          "content-disposition",
+          `attachment; filename="${name}.csv"`
+        );
+        res.write(
+          csvStringify([columns.map((c) => workingTableColumns[c].name)])
+        );
+        const selectClause = columns.map((c) => `"${c}"`).join(", ");
+        for await (let row of conn.stream(
+          `SELECT ${selectClause} FROM (${query})`
+        )) {
+          if (res.destroyed) {
+            break;
+          }
+          const line = csvStringify([
+            columns.map((c) =>
+              row[c] === null || /^[;\s]*$/.test(row[c]) ? "" : row[c]
+            ),
+          ]);
+          if (!res.write(line)) {
+            await once(res, "drain");
+          }
+        }
+      });
+    } catch (err) {
+      if (!res.headersSent) {
+        return sendError(res, err);
+      }
+      console.error(err);
+      res.destroy(err);
+      return;
+    }
+    res.end();
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,29 @@
+// Harvester of the CKAN portals, whose package_search results are already in
+// the expected form
+const Axios = require("axios");
+const { Harvester } = require("./Harvester");
+
+const BATCH_SIZE = 100;
+
+class CKANHarvester extends Harvester {
+  async *harvest(modifiedSince) {
+    for (let offset = 0; ; offset += BATCH_SIZE) {
+      const params = { start: offset, rows: BATCH_SIZE };
+      if (modifiedSince) {
+        params.fq = `metadata_modified:[${modifiedSince} TO *]`;
+        params.sort = "metadata_modified asc";
+      }
+      const res = await Axios.get(this.portal.packageApiUrl, { params });
+      if (!res.data.success) {
+        throw new Error("The package search has failed");
+      }
+      const results = res.data.result.results;
+      if (results.length === 0) {
+        return;
+      }
+      yield results;
+    }
+  }
+}
+
+module.exports = CKANHarvester;
@@ -63,8 +63,14 @@ def update_database(uuid, header, schema, encoding):
     mongo_client = pymongo.MongoClient(config["mongodb"]["uri"])
     db = mongo_client[config["mongodb"]["db"]]
     inferred_collection = db.inferredstats
+    inferred_stats = {"uuid": uuid, "header": header,
+                      "schema": schema, "encoding": encoding}
+    # Tables flattened from other formats keep the path of their records
+    derived = db.derivedresources.find_one({"id": uuid})
+    if derived is not None and "source" in derived["resource"]:
+        inferred_stats["source"] = derived["resource"]["source"]
     inferred_collection.find_one_and_replace(
-        {"uuid": uuid}, {"uuid": uuid, "header": header, "schema": schema, "encoding": encoding}, upsert=True)
+        {"uuid": uuid}, inferred_stats, upsert=True)
     mongo_client.close()
 
 
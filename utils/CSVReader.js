@@ -0,0 +1,112 @@
+const Fs = require("fs");
+const Path = require("path");
+const Stream = require("stream");
+const ChildProcess = require("child_process");
+const CsvParser = require("csv-parser");
+const Iconv = require("iconv").Iconv;
+
+const PYTHON_ENCODING_CONVERTER_PATH = Path.join(
+  __dirname,
+  "EncodingConverter.py"
+);
+
+// Parses a whole CSV file into an array of rows, converting it from the
+// given encoding to UTF-8
+const parseCSV = (path, encoding, verbose = false) => {
+  return new Promise((resolve) => {
+    let iconv;
+    let pythonEncodingConverter;
+    let count = 0;
+
+    try {
+      iconv = new Iconv(encoding, "utf-8");
+    } catch (err) {
+      // continue regardless of error
+    }
+    if (!iconv) {
+      pythonEncodingConverter = ChildProcess.spawn("python3", [
+        PYTHON_ENCODING_CONVERTER_PATH,
+        encoding,
+      ]);
+    }
+    if (verbose) {
+      console.log("Start parsing CSV...");
+    }
+    const results = [];
+    let stream = Fs.createReadStream(path);
+    if (iconv) {
+      if (verbose) {
+        console.log("Using iconv");
+      }
+      stream.pipe(iconv);
+    } else {
+      if (verbose) {
+        console.log("Using Python");
+      }
+      stream.pipe(pythonEncodingConverter.stdin);
+      stream = pythonEncodingConverter.stdout;
+    }
+    stream
+      .pipe(CsvParser({ headers: false }))
+      .on("data", (data) => {
+        results.push(Object.values(data));
+        count += 1;
+        if (verbose) {
+          if (count % 10000 === 0) {
+            console.log(count, "rows parsed");
+          }
+        }
+      })
+      .on("end", () => {
+        if (verbose) {
+          if (count % 1000 === 0) {
+            console.log(count, "rows parsed");
+          }
+        }
+        return resolve(results);
+      });
+  });
+};
+
+// Returns a stream of the rows of a CSV file, converted from the given
+// encoding to UTF-8, which is meant to be consumed with for await so that the
+// file is only read as fast as the rows are processed. The errors of the
+// decoding and the parsing are thrown by the iteration.
+const streamCSV = (path, encoding) => {
+  let iconv;
+  try {
+    iconv = new Iconv(encoding, "utf-8");
+  } catch (err) {
+    // continue regardless of error
+  }
+  const parser = CsvParser({ headers: false });
+  const rows = new Stream.Transform({
+    objectMode: true,
+    transform(data, _, callback) {
+      callback(null, Object.values(data));
+    },
+  });
+  const onError = (err) => {
+    if (err) {
+      rows.destroy(err);
+    }
+  };
+  if (iconv) {
+    Stream.pipeline(Fs.createReadStream(path), iconv, parser, rows, onError);
+  } else {
+    const pythonEncodingConverter = ChildProcess.spawn("python3", [
+      PYTHON_ENCODING_CONVERTER_PATH,
+      encoding,
+    ]);
+    pythonEncodingConverter.on("error", onError);
+    Stream.pipeline(
+      Fs.createReadStream(path),
+      pythonEncodingConverter.stdin,
+      onError
+    );
+    Stream.pipeline(pythonEncodingConverter.stdout, parser, rows, onError);
+  }
+  return rows;
+};
+
+module.exports = { parseCSV, streamCSV };
@@ -1,46 +1,212 @@
 import sys
+import re
 import pandas as pd
 import pyarrow as pa
 import pyarrow.parquet as pq
 import os
 import json
-import portalocker
+from datetime import datetime, timezone
+
+'''
+Converts a CSV file into a Parquet file, with the columns in the types of the
+schema inferred by CSVInferer.py. The missing values are written as nulls, and
+a column is kept as strings if any of its values cannot be converted. The file
+is written under a temporary name and renamed once complete, so that the
+Parquet files are never seen half written, even by concurrent conversions.
+
+Usage: CSVToParquetConverter.py <file> <encoding> <header>
+       [<field names JSON, or null for the column indexes> [<field types JSON>]]
+'''
 
 CACHE_DIR = os.path.abspath(os.path.join(os.path.dirname(
     os.path.abspath(__file__)), "..", "data/parquet_cache/"))
+# Marks the Parquet files written with the types of the schema
+TYPES_METADATA_KEY = b"governor_types"
+
+# Keep in sync with src/ValueParser.js
+MISSING_VALUES = set(["", "nan", "null", "n/a", "n/d", "-", "...", "(n/a)"])
+TRUE_VALUES = set(["1", "true"])
+FALSE_VALUES = set(["0", "false"])
+NUMBER_PATTERN = re.compile(r"^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$", re.I)
+INTEGER_PATTERN = re.compile(r"^[+-]?\d+$")
+DATE_FORMATS = ["%Y-%m-%d", "%Y-%m", "%Y", "%Y-%m-%d %H:%M:%S",
+                "%Y-%m-%d %H:%M", "%Y/%m/%d", "%d/%m/%Y"]
 
 chunksize = 10000
-file_path = sys.argv[1]
-encoding = sys.argv[2]
-header = int(sys.argv[3])
-try:
-    field_names = json.loads(sys.argv[4])
-except:
-    field_names = None
-uuid = os.path.splitext(os.path.basename(file_path))[0]
-parquet_file_name = "%s%s.parquet" % (
-    uuid, "_num_index" if field_names is None else "")
-parquet_path = os.path.join(CACHE_DIR, parquet_file_name)
-
-lock = portalocker.RedisLock(parquet_path)
-with lock:
-    if os.path.exists(parquet_path) and os.path.getsize(parquet_path) > 0:
-        pass
+
+
+# Thousands separators, currency and percent signs are ignored
+def parse_number(value):
+    cleaned = re.sub(r"[,$%\s]", "", value)
+    if NUMBER_PATTERN.match(cleaned) is None:
+        return None
+    return float(cleaned)
+
+
+def parse_integer(value):
+    cleaned = re.sub(r"[,$%\s]", "", value)
+    if INTEGER_PATTERN.match(cleaned) is not None:
+        return int(cleaned)
+    number = parse_number(value)
+    return int(number) if number is not None and number.is_integer() else None
+
+
+# Plain numbers other than years are not dates, and the dates with a time zone
+# are converted to UTC
+def parse_datetime(value):
+    string = value.strip()
+    if string.isdigit() and len(string) != 4:
+        return None
+    for date_format in DATE_FORMATS:
+        try:
+            return datetime.strptime(string, date_format)
+        except ValueError:
+            pass
+    try:
+        parsed = datetime.fromisoformat(string.replace("Z", "+00:00"))
+    except ValueError:
+        return None
+    if parsed.tzinfo is not None:
+        parsed = parsed.astimezone(timezone.utc).replace(tzinfo=None)
+    return parsed
+
+
+def parse_date(value):
+    parsed = parse_datetime(value)
+    return parsed.date() if parsed is not None else None
+
+
+def parse_boolean(value):
+    lowered = value.strip().lower()
+    if lowered in TRUE_VALUES:
+        return True
+    if lowered in FALSE_VALUES:
+        return False
+    return None
+
+
+# The types of the schema which are converted, the others are kept as strings
+PARSERS = {
+    "integer": parse_integer,
+    "year": parse_integer,
+    "number": parse_number,
+    "date": parse_date,
+    "datetime": parse_datetime,
+    "boolean": parse_boolean,
+}
+ARROW_TYPES = {
+    "integer": pa.int64(),
+    "year": pa.int64(),
+    "number": pa.float64(),
+    "date": pa.date32(),
+    "datetime": pa.timestamp("ms"),
+    "boolean": pa.bool_(),
+}
+
+
+def convert_column(values, field_type):
+    '''
+    Returns the values converted to the type, with the missing values as None,
+    or None if any of them cannot be converted
+    '''
+    parse = PARSERS[field_type]
+    parsed_values = {}
+    converted = []
+    for value in values:
+        if value.strip().lower() in MISSING_VALUES:
+            converted.append(None)
+            continue
+        if value not in parsed_values:
+            parsed_values[value] = parse(value)
+        if parsed_values[value] is None:
+            return None
+        converted.append(parsed_values[value])
+    return converted
+
+
+def read_chunks(file_path, encoding, header):
+    # The values are read as they are written, the empty ones included
+    return pd.read_csv(file_path, encoding=encoding, header=header,
+                       chunksize=chunksize, on_bad_lines='skip', dtype=str,
+                       na_filter=False, low_memory=False)
+
+
+def get_column_types(file_path, encoding, header, field_types):
+    '''
+    Returns the types in which the columns are written, the columns whose
+    values cannot all be converted being strings
+    '''
+    column_types = None
+    for chunk in read_chunks(file_path, encoding, header):
+        if column_types is None:
+            column_types = [field_types[i] if i < len(field_types)
+                            and field_types[i] in PARSERS else "string"
+                            for i in range(len(chunk.columns))]
+        for i, field_type in enumerate(column_types):
+            if field_type == "string":
+                continue
+            if convert_column(chunk.iloc[:, i], field_type) is None:
+                column_types[i] = "string"
+    return column_types
+
+
+def convert(file_path, parquet_path, encoding, header, field_names,
+            field_types):
+    column_types = get_column_types(file_path, encoding, header, field_types)
+    if column_types is None:
+        return
+    if field_names is not None and len(column_types) == len(field_names):
+        names = field_names
     else:
-        csv_stream = pd.read_csv(file_path, encoding=encoding,
-                                 chunksize=chunksize, on_bad_lines='skip',
-                                 dtype=str, low_memory=False)
-        for i, chunk in enumerate(csv_stream):
-            chunk.fillna('', inplace=True)
-            if field_names is not None and len(chunk.columns) == len(field_names):
-                chunk.columns = field_names
-            else:
-                chunk.columns = [str(i) for i in range(len(chunk.columns))]
-            if i == 0:
-                parquet_schema = pa.Table.from_pandas(df=chunk).schema
-                parquet_cache_writer = pq.ParquetWriter(
-                    parquet_path, parquet_schema, compression='snappy')
-
-            table = pa.Table.from_pandas(chunk, schema=parquet_schema)
-            parquet_cache_writer.write_table(table)
-        parquet_cache_writer.close()
+        names = [str(i) for i in range(len(column_types))]
+    parquet_schema = pa.schema(
+        [pa.field(name, ARROW_TYPES.get(t, pa.string()))
+         for name, t in zip(names, column_types)],
+        metadata={TYPES_METADATA_KEY: json.dumps(column_types)})
+    tmp_path = "%s.%d.part" % (parquet_path, os.getpid())
+    try:
+        with pq.ParquetWriter(tmp_path, parquet_schema,
+                              compression='snappy') as parquet_cache_writer:
+            for chunk in read_chunks(file_path, encoding, header):
+                arrays = []
+                for i, field_type in enumerate(column_types):
+                    values = chunk.iloc[:, i]
+                    if field_type == "string":
+                        arrays.append(pa.array(
+                            [v if v != "" else None for v in values],
+                            pa.string()))
+                    else:
+                        arrays.append(pa.array(
+                            convert_column(values, field_type),
+                            ARROW_TYPES[field_type]))
+                parquet_cache_writer.write_table(
+                    pa.Table.from_arrays(arrays, schema=parquet_schema))
+    except Exception:
+        if os.path.exists(tmp_path):
+            os.remove(tmp_path)
+        raise
+    os.replace(tmp_path, parquet_path)
+
+
+# The Parquet files written before the types are converted again
+def is_converted(parquet_path):
+    if not os.path.exists(parquet_path) or os.path.getsize(parquet_path) == 0:
+        return False
+    metadata = pq.read_schema(parquet_path).metadata or {}
+    return TYPES_METADATA_KEY in metadata
+
+
+if __name__ == "__main__":
+    file_path = sys.argv[1]
+    encoding = sys.argv[2]
+    header = int(sys.argv[3])
+    field_names = json.loads(sys.argv[4]) if len(sys.argv) > 4 else None
+    field_types = json.loads(sys.argv[5]) if len(sys.argv) > 5 else []
+    uuid = os.path.splitext(os.path.basename(file_path))[0]
+    parquet_file_name = "%s%s.parquet" % (
+        uuid, "_num_index" if field_names is None else "")
+    parquet_path = os.path.join(CACHE_DIR, parquet_file_name)
+
+    if not is_converted(parquet_path):
+        convert(file_path, parquet_path, encoding, header, field_names,
+                field_types)
@@ -0,0 +1,105 @@
+const FsPromises = require("fs/promises");
+const Path = require("path");
+const MongoUtil = require("../src/server/MongoUtil");
+const MinHash = require("../src/server/MinHash");
+const ValueParser = require("../src/ValueParser");
+const CSVReader = require("./CSVReader");
+
+const FILES_DIR = Path.join(__dirname, "../data/files/");
+const FILE_SIZE_THRESHOLD = 3e9;
+const MIN_UNIQUE_VALUE = 2;
+// The distinct values of each column are counted up to this number, beyond
+// which their number is estimated from the signature
+const MAX_COUNTED_VALUES = 10000;
+
+const COLLECTION = "columnsketches";
+
+// Returns the sketches of the columns of a table, skipping the columns with
+// too few distinct values to be joined on. The rows are streamed and the
+// signatures updated with each value, so that the file is not held in memory.
+const sketchTable = async (inferredStats) => {
+  const path = Path.join(FILES_DIR, `${inferredStats.uuid}.csv`);
+  const fileStats = await FsPromises.stat(path);
+  if (fileStats.size > FILE_SIZE_THRESHOLD) {
+    return [];
+  }
+  const fields = inferredStats.schema.fields;
+  const columns = fields.map(() => {
+    return { signature: MinHash.createSignature(), values: new Set() };
+  });
+  let i = 0;
+  for await (let row of CSVReader.streamCSV(path, inferredStats.encoding)) {
+    if (i++ <= inferredStats.header) {
+      continue;
+    }
+    columns.forEach((column, j) => {
+      if (ValueParser.isMissingValue(row[j])) {
+        return;
+      }
+      const value = MinHash.normalizeValue(row[j]);
+      if (column.values) {
+        if (column.values.has(value)) {
+          return;
+        }
+        column.values.add(value);
+        if (column.values.size > MAX_COUNTED_VALUES) {
+          column.values = null;
+        }
+      }
+      MinHash.updateSignature(column.signature, value);
+    });
+  }
+  const sketches = [];
+  columns.forEach(({ signature, values }, j) => {
+    const uniqueCount = values
+      ? values.size
+      : MinHash.estimateDistinctCount(signature);
+    if (uniqueCount < MIN_UNIQUE_VALUE) {
+      return;
+    }
+    sketches.push({
+      uuid: inferredStats.uuid,
+      index: j,
+      name: fields[j].name,
+      type: fields[j].type,
+      unique_count: uniqueCount,
+      signature,
+      bands: MinHash.getBands(signature),
+    });
+  });
+  return sketches;
+};
+
+(async () => {
+  console.log("Connecting to MongoDB...");
+  const db = await MongoUtil.getDb();
+  const collection = db.collection(COLLECTION);
+
+  const sketchedUuids = new Set(await collection.distinct("uuid"));
+  const inferredStatsList = await db
+    .collection("inferredstats")
+    .find({ uuid: { $nin: [...sketchedUuids] } })
+    .toArray();
+  console.log(inferredStatsList.length, "tables to sketch");
+
+  let count = 0;
+  for (let inferredStats of inferredStatsList) {
+    try {
+      const sketches = await sketchTable(inferredStats);
+      if (sketches.length > 0) {
+        await collection.insertMany(sketches);
+      }
+    } catch (err) {
+      console.log("Failed to sketch", inferredStats.uuid);
+    }
+    count += 1;
+    if (count % 100 === 0) {
+      console.log(count, "tables sketched");
+    }
+  }
+
+  console.log("All done");
+  MongoUtil.disconnect();
+  console.log("Disconnected from MongoDB");
+  process.exit(0);
+})();
@@ -0,0 +1,284 @@
+// Harvester of the DCAT catalogs (`catalogUrl`), either data.json files in
+// the DCAT-US form or graphs of dcat:Dataset nodes, in JSON-LD, Turtle,
+// N-Triples or RDF/XML. The RDF serializations other than JSON-LD are parsed
+// into JSON-LD nodes. The properties are read by their local names, whatever
+// their prefixes, and the catalogs paginated with Hydra are followed page by
+// page. The id of a dataset is the last segment of its landing page (or
+// identifier), so that `siteUrl` can be the prefix of the landing pages.
+const Axios = require("axios");
+const N3 = require("n3");
+const { RdfXmlParser } = require("rdfxml-streaming-parser");
+const { Harvester } = require("./Harvester");
+
+const DATASET_TYPE = "Dataset";
+const MAX_PAGES = 1000;
+
+// The media types and formats of the distributions, by the formats of CKAN
+const MEDIA_TYPES = [
+  ["geo+json", "GEOJSON"],
+  ["spreadsheetml", "XLSX"],
+  ["ms-excel", "XLS"],
+  ["csv", "CSV"],
+  ["json", "JSON"],
+  ["zip", "ZIP"],
+];
+
+const getLocalName = (iri) => {
+  return String(iri).replace(/^.*[#/:]/, "");
+};
+
+// Returns the properties of a JSON-LD node by their local names, with
+// arrays of values
+const getProperties = (node) => {
+  const properties = {};
+  if (!node || typeof node !== "object") {
+    return properties;
+  }
+  for (let key in node) {
+    const name = getLocalName(key);
+    const values = Array.isArray(node[key]) ? node[key] : [node[key]];
+    properties[name] = (properties[name] || []).concat(values);
+  }
+  return properties;
+};
+
+// Returns the literal of a value, or its IRI
+const getLiteral = (value) => {
+  if (value && typeof value === "object") {
+    return value["@value"] || value["@id"] || null;
+  }
+  return value === undefined ? null : value;
+};
+
+const getFirst = (properties, name) => {
+  const values = properties[name] || [];
+  return values.length > 0 ? getLiteral(values[0]) : null;
+};
+
+const getLastSegment = (url) => {
+  if (!url) {
+    return null;
+  }
+  const segment = String(url)
+    .replace(/[/#]+$/, "")
+    .split(/[/#]/)
+    .pop();
+  const cleaned = segment.replace(/[^A-Za-z0-9._-]/g, "");
+  return cleaned.length > 0 ? cleaned : null;
+};
+
+const getFormat = (distribution, url) => {
+  const format = getFirst(distribution, "format");
+  const mediaType = getFirst(distribution, "mediaType") || "";
+  const label =
+    format && typeof format === "string"
+      ? format
+      : getFirst(getProperties((distribution.format || [])[0]), "label");
+  for (let [type, name] of MEDIA_TYPES) {
+    if (mediaType.toLowerCase().includes(type)) {
+      return name;
+    }
+  }
+  if (label) {
+    return getLocalName(label).toUpperCase();
+  }
+  const extension = String(url || "").match(/\.([A-Za-z0-9]+)(\?.*)?$/);
+  return extension ? extension[1].toUpperCase() : "";
+};
+
+const RDF_TYPE = "http://www.w3.org/1999/02/22-rdf-syntax-ns#type";
+const ACCEPT =
+  "application/ld+json, application/json, text/turtle, application/n-triples, application/rdf+xml;q=0.9";
+
+// The serializations by the media types and the extensions of the catalogs
+const SERIALIZATIONS = [
+  { name: "jsonld", mediaTypes: ["json"], extensions: [".json", ".jsonld"] },
+  { name: "turtle", mediaTypes: ["turtle", "n3"], extensions: [".ttl", ".n3"] },
+  { name: "ntriples", mediaTypes: ["n-triples"], extensions: [".nt"] },
+  { name: "rdfxml", mediaTypes: ["xml"], extensions: [".rdf", ".xml", ".owl"] },
+];
+
+const getSerialization = (contentType, url) => {
+  const mediaType = String(contentType || "").toLowerCase();
+  const path = String(url)
+    .replace(/[?#].*$/, "")
+    .toLowerCase();
+  const found =
+    SERIALIZATIONS.find((f) =>
+      f.mediaTypes.some((t) => mediaType.includes(t))
+    ) || SERIALIZATIONS.find((f) => f.extensions.some((e) => path.endsWith(e)));
+  // JSON-LD by default, like the catalogs served as text/plain
+  return found ? found.name : "jsonld";
+};
+
+const toJSONLDTerm = (term) => {
+  if (term.termType === "Literal") {
+    return { "@value": term.value };
+  }
+  return {
+    "@id": term.termType === "BlankNode" ? `_:${term.value}` : term.value,
+  };
+};
+
+// Groups the triples into the nodes of a JSON-LD graph, by subject
+const toJSONLDGraph = (quads) => {
+  const nodesById = new Map();
+  for (let quad of quads) {
+    const id = toJSONLDTerm(quad.subject)["@id"];
+    if (!nodesById.has(id)) {
+      nodesById.set(id, { "@id": id });
+    }
+    const node = nodesById.get(id);
+    const key =
+      quad.predicate.value === RDF_TYPE ? "@type" : quad.predicate.value;
+    const value =
+      key === "@type" ? quad.object.value : toJSONLDTerm(quad.object);
+    node[key] = (node[key] || []).concat([value]);
+  }
+  return { "@graph": [...nodesById.values()] };
+};
+
+const parseRDFXML = (text, baseIRI) => {
+  return new Promise((resolve, reject) => {
+    const quads = [];
+    const parser = new RdfXmlParser({ baseIRI });
+    parser
+      .on("data", (quad) => quads.push(quad))
+      .on("error", reject)
+      .on("end", () => resolve(quads));
+    parser.write(text);
+    parser.end();
+  });
+};
+
+// Parses a catalog in its serialization, the JSON-LD catalogs being kept as
+// they are
+const parseCatalog = async (res, url) => {
+  const text = res.data;
+  switch (getSerialization(res.headers["content-type"], url)) {
+    case "turtle":
+      return toJSONLDGraph(new N3.Parser({ baseIRI: url }).parse(text));
+    case "ntriples":
+      return toJSONLDGraph(
+        new N3.Parser({ baseIRI: url, format: "N-Triples" }).parse(text)
+      );
+    case "rdfxml":
+      return toJSONLDGraph(await parseRDFXML(text, url));
+    default:
+      return JSON.parse(text);
+  }
+};
+
+class DCATHarvester extends Harvester {
+  normalize(node, nodesById) {
+    const resolve = (value) => {
+      const id = value && typeof value === "object" ? value["@id"] : null;
+      return id && nodesById[id] ? nodesById[id] : value;
+    };
+    const properties = getProperties(node);
+    const identifier = getFirst(properties, "identifier") || node["@id"];
+    const landingPage = getFirst(properties, "landingPage");
+    const id =
+      getLastSegment(landingPage) ||
+      getLastSegment(identifier) ||
+      this.getResourceId(String(identifier));
+    const title = getFirst(properties, "title") || id;
+    const modified = getFirst(properties, "modified");
+    const publisher = getProperties(resolve((properties.publisher || [])[0]));
+    return {
+      id,
+      name: id,
+      title,
+      notes: getFirst(properties, "description"),
+      metadata_created: getFirst(properties, "issued") || modified,
+      metadata_modified: modified,
+      organization: {
+        title:
+          getFirst(publisher, "name") ||
+          getFirst(publisher, "prefLabel") ||
+          getLiteral((properties.publisher || [])[0]) ||
+          "",
+        description: "",
+      },
+      tags: (properties.keyword || []).map((k) => {
+        return { name: getLiteral(k) };
+      }),
+      resources: (properties.distribution || [])
+        .map((d) => getProperties(resolve(d)))
+        .map((d, i) => {
+          const url = getFirst(d, "downloadURL") || getFirst(d, "accessURL");
+          return {
+            id: this.getResourceId(`${identifier}#${url || i}`),
+            name: getFirst(d, "title") || title,
+            description: getFirst(d, "description"),
+            format: getFormat(d, url),
+            url,
+            last_modified: getFirst(d, "modified") || modified,
+            size: getFirst(d, "byteSize"),
+          };
+        })
+        .filter((r) => r.url),
+    };
+  }
+
+  getDatasetNodes(catalog) {
+    // DCAT-US data.json
+    if (Array.isArray(catalog.dataset)) {
+      return { datasets: catalog.dataset, nodesById: {} };
+    }
+    const graph = Array.isArray(catalog)
+      ? catalog
+      : catalog["@graph"] || [catalog];
+    const nodesById = {};
+    graph.forEach((n) => {
+      if (n["@id"]) {
+        nodesById[n["@id"]] = n;
+      }
+    });
+    const datasets = graph.filter((n) => {
+      const types = [].concat(n["@type"] || []);
+      return types.some((t) => getLocalName(t) === DATASET_TYPE);
+    });
+    return { datasets, nodesById };
+  }
+
+  getNextPage(catalog) {
+    const properties = getProperties(catalog);
+    const view = getProperties((properties.view || [])[0]);
+    const next = getFirst(view, "next") || getFirst(properties, "nextPage");
+    if (next || !Array.isArray(catalog["@graph"])) {
+      return next;
+    }
+    // The views of the graphs (e.g. parsed from Turtle) are nodes of the graph
+    for (let node of catalog["@graph"]) {
+      const nodeProperties = getProperties(node);
+      const nodeNext =
+        getFirst(nodeProperties, "next") ||
+        getFirst(nodeProperties, "nextPage");
+      if (nodeNext) {
+        return nodeNext;
+      }
+    }
+    return null;
+  }
+
+  async *harvest(modifiedSince) {
+    let url = this.portal.catalogUrl;
+    for (let page = 0; url && page < MAX_PAGES; ++page) {
+      const res = await Axios.get(url, {
+        headers: { Accept: ACCEPT },
+        responseType: "text",
+        // The catalog is parsed in its serialization
+        transformResponse: (data) => data,
+      });
+      const catalog = await parseCatalog(res, url);
+      const { datasets, nodesById } = this.getDatasetNodes(catalog);
+      yield datasets
+        .map((n) => this.normalize(n, nodesById))
+        .filter((d) => this.isModifiedSince(d, modifiedSince));
+      url = Array.isArray(catalog) ? null : this.getNextPage(catalog);
+    }
+  }
+}
+
+module.exports = DCATHarvester;
@@ -0,0 +1,305 @@
+const FsPromises = require("fs/promises");
+const Path = require("path");
+const MongoUtil = require("../src/server/MongoUtil");
+const CSVReader = require("./CSVReader");
+
+// Populates the datadictionaries collection served by
+// src/server/DataDictionaries.js with the descriptions of the fields of the
+// tables, found in three kinds of sources:
+// - the schemas of the resources in the metadata (`resources[].fields`),
+// - the Frictionless `datapackage.json` files of the datasets,
+// - the "data dictionary" CSV resources of the datasets.
+// The dictionaries of a table are merged in this order of precedence, and
+// recorded with their sources, so that the ones added by other means are kept.
+
+const FILES_DIR = Path.join(__dirname, "../data/files/");
+const COLLECTION = "datadictionaries";
+const DATAPACKAGE_NAME = "datapackage.json";
+const DEFAULT_ENCODING = "utf-8";
+
+const DICTIONARY_NAME_PATTERN =
+  /\b(data dictionary|dictionary|codebook|code book|(field|variable|column) definitions?)\b/i;
+
+// The headers of the columns of a dictionary CSV, lowercased
+const FIELD_HEADERS = [
+  "field name",
+  "field",
+  "column name",
+  "column",
+  "variable name",
+  "variable",
+  "attribute",
+  "name",
+];
+const DESCRIPTION_HEADERS = [
+  "field description",
+  "description",
+  "definition",
+  "meaning",
+  "desc",
+  "notes",
+  "label",
+];
+const VALUE_HEADERS = ["value", "code", "values", "category"];
+const VALUE_DESCRIPTION_HEADERS = [
+  "value description",
+  "code description",
+  "value label",
+  "category description",
+];
+
+const isTable = (resource) => {
+  return (resource.format || "").toUpperCase() === "CSV";
+};
+
+const isDictionary = (resource) => {
+  return isTable(resource) && DICTIONARY_NAME_PATTERN.test(resource.name);
+};
+
+const isDatapackage = (resource) => {
+  return [resource.name, resource.url].some(
+    (s) => s && s.toLowerCase().endsWith(DATAPACKAGE_NAME)
+  );
+};
+
+const getBaseName = (url) => {
+  try {
+    return Path.basename(new URL(url).pathname).toLowerCase();
+  } catch (_) {
+    return Path.basename(url || "").toLowerCase();
+  }
+};
+
+// The fields of the CKAN resources are those of the portals (e.g. with a
+// description) or those of the DataStore data dictionary (with info notes)
+const fromResourceFields = (resource) => {
+  if (!Array.isArray(resource.fields)) {
+    return [];
+  }
+  return resource.fields
+    .map((f) => {
+      const info = f.info || {};
+      return {
+        field_name: f.name || f.id,
+        field_desc: f.description || info.notes || info.label || f.title,
+        values: [],
+      };
+    })
+    .filter((f) => f.field_name);
+};
+
+// The categories of the Frictionless fields are their described values
+const fromFrictionlessFields = (schema) => {
+  if (!schema || !Array.isArray(schema.fields)) {
+    return [];
+  }
+  return schema.fields
+    .map((f) => {
+      const categories = Array.isArray(f.categories) ? f.categories : [];
+      return {
+        field_name: f.name,
+        field_desc: f.description || f.title,
+        values: categories
+          .filter((c) => c && typeof c === "object" && c.label)
+          .map((c) => ({ value_name: String(c.value), value_desc: c.label })),
+      };
+    })
+    .filter((f) => f.field_name);
+};
+
+// Returns the schemas of the tables described by a datapackage, matched by
+// name or by file name, or the only table of the dataset
+const fromDatapackage = async (datapackageResource, tables) => {
+  const path = Path.join(FILES_DIR, `${datapackageResource.id}.json`);
+  let datapackage;
+  try {
+    datapackage = JSON.parse(await FsPromises.readFile(path));
+  } catch (_) {
+    return {};
+  }
+  const found = {};
+  const packageResources = Array.isArray(datapackage.resources)
+    ? datapackage.resources
+    : [];
+  for (let r of packageResources) {
+    const fields = fromFrictionlessFields(r.schema);
+    if (fields.length === 0) {
+      continue;
+    }
+    const paths = [].concat(r.path || []).map(getBaseName);
+    let table = tables.find(
+      (t) =>
+        (r.name && (t.name || "").toLowerCase() === r.name.toLowerCase()) ||
+        paths.includes(getBaseName(t.url))
+    );
+    if (!table && packageResources.length === 1 && tables.length === 1) {
+      table = tables[0];
+    }
+    if (table) {
+      found[table.id] = fields;
+    }
+  }
+  return found;
+};
+
+const findColumn = (header, names) => {
+  for (let name of names) {
+    const index = header.indexOf(name);
+    if (index >= 0) {
+      return index;
+    }
+  }
+  return -1;
+};
+
+// Reads the fields described by a dictionary CSV, with one row per field, or
+// one row per value of a field where the rows of the next values of the
+// field may leave its name empty
+const fromDictionaryCSV = async (db, resource) => {
+  const path = Path.join(FILES_DIR, `${resource.id}.csv`);
+  try {
+    await FsPromises.access(path);
+  } catch (_) {
+    return [];
+  }
+  const stats = await db
+    .collection("inferredstats")
+    .findOne({ uuid: resource.id });
+  const headerIndex = stats ? stats.header : 0;
+  const rows = await CSVReader.parseCSV(
+    path,
+    stats ? stats.encoding : DEFAULT_ENCODING
+  );
+  if (rows.length <= headerIndex) {
+    return [];
+  }
+  const header = rows[headerIndex].map((h) => (h || "").trim().toLowerCase());
+  const fieldColumn = findColumn(header, FIELD_HEADERS);
+  const descriptionColumn = findColumn(header, DESCRIPTION_HEADERS);
+  const valueColumn = findColumn(header, VALUE_HEADERS);
+  const valueDescriptionColumn = findColumn(header, VALUE_DESCRIPTION_HEADERS);
+  if (fieldColumn < 0 || (descriptionColumn < 0 && valueColumn < 0)) {
+    return [];
+  }
+  const fields = new Map();
+  let current = null;
+  for (let row of rows.slice(headerIndex + 1)) {
+    const get = (i) => (i >= 0 && row[i] ? row[i].trim() : "");
+    const name = get(fieldColumn);
+    if (name) {
+      current = fields.get(name);
+      if (!current) {
+        current = { field_name: name, field_desc: null, values: [] };
+        fields.set(name, current);
+      }
+    }
+    if (!current) {
+      continue;
+    }
+    if (name && !current.field_desc) {
+      current.field_desc = get(descriptionColumn) || null;
+    }
+    const value = get(valueColumn);
+    const valueDescription = get(valueDescriptionColumn);
+    if (value && valueDescription) {
+      current.values.push({ value_name: value, value_desc: valueDescription });
+    }
+  }
+  return [...fields.values()];
+};
+
+// Merges the fields of the sources by name, the first description of a
+// field being kept
+const mergeFields = (sources) => {
+  const merged = new Map();
+  for (let fields of sources) {
+    for (let f of fields) {
+      const found = merged.get(f.field_name);
+      if (!found) {
+        merged.set(f.field_name, {
+          field_name: f.field_name,
+          field_desc: f.field_desc || null,
+          values: [...f.values],
+        });
+        continue;
+      }
+      found.field_desc = found.field_desc || f.field_desc || null;
+      if (found.values.length === 0) {
+        found.values = [...f.values];
+      }
+    }
+  }
+  return [...merged.values()].filter(
+    (f) => f.field_desc || f.values.length > 0
+  );
+};
+
+const importDatasetDictionaries = async (db, dataset) => {
+  const resources = dataset.resources || [];
+  const tables = resources.filter((r) => isTable(r) && !isDictionary(r));
+  const datapackageSchemas = {};
+  for (let r of resources.filter(isDatapackage)) {
+    Object.assign(datapackageSchemas, await fromDatapackage(r, tables));
+  }
+  const dictionaryFields = [];
+  for (let r of resources.filter(isDictionary)) {
+    dictionaryFields.push(...(await fromDictionaryCSV(db, r)));
+  }
+  const imported = [];
+  for (let table of tables) {
+    // The dictionary CSVs describe the columns of any table of the dataset
+    const stats = await db
+      .collection("inferredstats")
+      .findOne({ uuid: table.id });
+    const columns = stats ? stats.schema.fields.map((f) => f.name) : null;
+    const sources = {
+      metadata: fromResourceFields(table),
+      datapackage: datapackageSchemas[table.id] || [],
+      csv: dictionaryFields.filter(
+        (f) => !columns || columns.includes(f.field_name)
+      ),
+    };
+    const fields = mergeFields(Object.values(sources));
+    if (fields.length === 0) {
+      continue;
+    }
+    await db.collection(COLLECTION).replaceOne(
+      { resource_id: table.id },
+      {
+        resource_id: table.id,
+        fields,
+        sources: Object.keys(sources).filter((s) => sources[s].length > 0),
+      },
+      { upsert: true }
+    );
+    imported.push(table.id);
+  }
+  // The imported dictionaries of the tables which no longer have one
+  await db.collection(COLLECTION).deleteMany({
+    resource_id: { $in: resources.map((r) => r.id), $nin: imported },
+    sources: { $exists: true },
+  });
+  return imported.length;
+};
+
+(async () => {
+  console.log("Connecting to MongoDB...");
+  const db = await MongoUtil.getDb();
+
+  const cursor = db
+    .collection("metadata")
+    .find({}, { projection: { _id: false, id: true, resources: true } });
+  let count = 0;
+  for await (let dataset of cursor) {
+    try {
+      count += await importDatasetDictionaries(db, dataset);
+    } catch (err) {
+      console.log("Cannot import the dictionaries of", dataset.id, err);
+    }
+  }
+  console.log(count, "data dictionaries imported");
+
+  MongoUtil.disconnect();
+  console.log("Disconnected from MongoDB");
+  process.exit(0);
+})();
@@ -0,0 +1,134 @@
+import hashlib
+import os
+import uuid as uuidlib
+
+'''
+Derived resources are the tables extracted from the files of other resources
+(e.g. the sheets of a workbook). They are added to the resources of the
+dataset of their parent, so that they are processed and displayed like the
+other tables, and recorded in the derivedresources collection, from which
+they are added again when the metadata of the dataset is imported again.
+'''
+
+COLLECTION = "derivedresources"
+BASE_DIR = os.path.abspath(os.path.join(os.path.dirname(
+    os.path.abspath(__file__)), "..", "data/files/"))
+PARQUET_CACHE_DIR = os.path.abspath(os.path.join(os.path.dirname(
+    os.path.abspath(__file__)), "..", "data/parquet_cache/"))
+# Keep in sync with utils/MongoDBImporter.js
+DERIVED_COLLECTIONS = [
+    "inferredhistograms",
+    "inferredcolumnstats",
+    "columnsketches",
+]
+
+
+def get_derived_id(parent_id, key):
+    '''
+    The id of a derived resource is a UUID 5 of its key (e.g. the sheet name)
+    in the namespace of its parent, so that it is stable across the runs.
+    '''
+    try:
+        namespace = uuidlib.UUID(parent_id)
+    except ValueError:
+        namespace = uuidlib.uuid5(uuidlib.NAMESPACE_URL, parent_id)
+    return str(uuidlib.uuid5(namespace, key))
+
+
+def get_file_sha256(path):
+    sha256 = hashlib.sha256()
+    with open(path, 'rb') as f:
+        for chunk in iter(lambda: f.read(1 << 20), b''):
+            sha256.update(chunk)
+    return sha256.hexdigest()
+
+
+def get_file_path(resource):
+    '''
+    The file of a derived resource is named after its id and format
+    '''
+    return os.path.join(BASE_DIR, "%s.%s" % (
+        resource["id"], resource["format"].lower()))
+
+
+def find_parent(db, parent_id):
+    '''
+    Returns the dataset and the resource of a parent, or (None, None) if it
+    is not in the metadata
+    '''
+    dataset = db.metadata.find_one({"resources.id": parent_id})
+    if dataset is None:
+        return None, None
+    for r in dataset["resources"]:
+        if r["id"] == parent_id:
+            return dataset, r
+    return None, None
+
+
+def is_up_to_date(db, parent_id, sha256):
+    '''
+    Whether the resources derived from the file of a parent have already been
+    extracted from the same content
+    '''
+    derived = list(db[COLLECTION].find({"parent_id": parent_id}))
+    return len(derived) > 0 and all(
+        d["source_sha256"] == sha256 and
+        os.path.isfile(get_file_path(d["resource"]))
+        for d in derived)
+
+
+def mark_for_reprocessing(db, uuid):
+    '''
+    Same as markForReprocessing in utils/MongoDBImporter.js for a single
+    table, for the derived resources whose content has changed (the ones
+    derived from them are marked when their files are extracted again)
+    '''
+    db.processedfiles.update_one({"uuid": uuid}, {
+        "$set": {"stale": True}, "$unset": {"checkpoint": ""}})
+    for c in DERIVED_COLLECTIONS:
+        db[c].delete_many({"uuid": uuid})
+    for suffix in ["", "_num_index"]:
+        try:
+            os.remove(os.path.join(PARQUET_CACHE_DIR,
+                      "%s%s.parquet" % (uuid, suffix)))
+        except OSError:
+            pass
+
+
+def save_derived_resources(db, parent_id, resources, sha256):
+    '''
+    Replaces the resources derived from a parent, removing the files of the
+    ones which no longer exist. Each resource is a metadata resource with its
+    id, name and format (e.g. "CSV").
+    '''
+    ids = set(r["id"] for r in resources)
+    for d in db[COLLECTION].find({"parent_id": parent_id}):
+        if d["id"] not in ids:
+            try:
+                os.remove(get_file_path(d["resource"]))
+            except OSError:
+                pass
+        elif d["source_sha256"] != sha256:
+            mark_for_reprocessing(db, d["id"])
+    db[COLLECTION].delete_many({"parent_id": parent_id})
+    if len(resources) > 0:
+        db[COLLECTION].insert_many([{
+            "id": r["id"],
+            "parent_id": parent_id,
+            "source_sha256": sha256,
+            "resource": r,
+        } for r in resources])
+    register_derived_resources(db, parent_id)
+
+
+def register_derived_resources(db, parent_id):
+    '''
+    Adds the derived resources of a parent to the resources of its dataset,
+    replacing the previous ones
+    '''
+    resources = [d["resource"]
+                 for d in db[COLLECTION].find({"parent_id": parent_id})]
+    db.metadata.update_one({"resources.id": parent_id}, {
+        "$pull": {"resources": {"parent_id": parent_id}}})
+    db.metadata.update_one({"resources.id": parent_id}, {
+        "$push": {"resources": {"$each": resources}}})
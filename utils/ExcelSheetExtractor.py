@@ -0,0 +1,89 @@
+import pymongo
+import os
+import sys
+import pandas as pd
+import json
+import DerivedResources
+
+'''
+Extracts each sheet of an Excel workbook as a CSV table derived from the
+resource of the workbook. The header of the tables is detected by
+CSVInferer.py like for the other CSV files. Exits with 1 when the workbook
+cannot be read, so that the pipeline retries it, and with 0 when it is
+skipped (e.g. already extracted).
+'''
+
+FILE_SIZE_LIMIT = 1e8
+CONFIG_PATH = os.path.abspath(os.path.join(os.path.dirname(
+    os.path.abspath(__file__)), "..", "app.config.json"))
+
+with open(CONFIG_PATH) as f:
+    config = json.load(f)
+
+file_path = sys.argv[1]
+parent_id = os.path.splitext(os.path.basename(file_path))[0]
+
+print("Extracting sheets of", parent_id, "...")
+
+if not os.path.isfile(file_path):
+    print(parent_id, "cannot be opened, quitting...")
+    sys.exit(1)
+
+if os.path.getsize(file_path) > FILE_SIZE_LIMIT:
+    print(parent_id, "is too large, quitting...")
+    sys.exit(1)
+
+mongo_client = pymongo.MongoClient(config["mongodb"]["uri"])
+db = mongo_client[config["mongodb"]["db"]]
+
+dataset, parent = DerivedResources.find_parent(db, parent_id)
+if parent is None:
+    print(parent_id, "is not in the metadata, quitting...")
+    mongo_client.close()
+    sys.exit(0)
+
+sha256 = DerivedResources.get_file_sha256(file_path)
+if DerivedResources.is_up_to_date(db, parent_id, sha256):
+    # The metadata may have been imported again since the extraction
+    DerivedResources.register_derived_resources(db, parent_id)
+    print(parent_id, "has already been processed, quitting...")
+    mongo_client.close()
+    sys.exit(0)
+
+try:
+    sheets = pd.read_excel(file_path, sheet_name=None,
+                           header=None, dtype=str)
+except Exception as e:
+    print(parent_id, "cannot be read:", e)
+    mongo_client.close()
+    sys.exit(1)
+
+resources = []
+for sheet_name, df in sheets.items():
+    df.dropna(how='all', axis=1, inplace=True)
+    df.dropna(how='all', axis=0, inplace=True)
+    if df.empty:
+        continue
+    sheet_name = str(sheet_name)
+    derived_id = DerivedResources.get_derived_id(parent_id, sheet_name)
+    csv_path = os.path.join(DerivedResources.BASE_DIR, derived_id + ".csv")
+    tmp_path = csv_path + ".part"
+    df.to_csv(tmp_path, index=False, header=False, encoding="utf-8")
+    os.replace(tmp_path, csv_path)
+    resource = {
+        "id": derived_id,
+        "name": "%s - %s" % (parent.get("name") or parent_id, sheet_name),
+        "description": parent.get("description"),
+        "format": "CSV",
+        "url": parent.get("url"),
+        "parent_id": parent_id,
+        "sheet_name": sheet_name,
+    }
+    # Workbooks extracted from archives
+    if "archive_path" in parent:
+        resource["archive_path"] = parent["archive_path"]
+    resources.append(resource)
+
+DerivedResources.save_derived_resources(db, parent_id, resources, sha256)
+print(len(resources), "sheets of", parent_id, "are extracted")
+mongo_client.close()
@@ -1,28 +1,50 @@
 const FsPromises = require("fs/promises");
 const Fs = require("fs");
+const Crypto = require("crypto");
+const Stream = require("stream");
+const Util = require("util");
 const Mkdirp = require("mkdirp");
 const Path = require("path");
 const Axios = require("axios");
 const Underscore = require("underscore");
 const PromisePool = require("es6-promise-pool");
+const MongoUtil = require("../src/server/MongoUtil");
+const MetadataChanges = require("./MetadataChanges");
+const Duplicates = require("../src/server/Duplicates");
 
 const JSON_DIR = Path.join(__dirname, "../data/json/");
 const FILES_DIR = Path.join(__dirname, "../data/files/");
 const JSON_SUFFIX = ".json";
+const TMP_SUFFIX = ".part";
+const MANIFEST_COLLECTION = "downloads";
+
+const MAX_ATTEMPTS = 4;
+const RETRY_BASE_DELAY_MS = 1000;
+const DOWNLOAD_TIMEOUT_MS = 60000;
+const DEFAULT_HOST_CONCURRENCY = 2;
+
+// With --retry-failed, only the files whose last download failed are
+// downloaded again
+const RETRY_FAILED = process.argv.includes("--retry-failed");
+
+const pipeline = Util.promisify(Stream.pipeline);
 
 const FORMATS_OF_INTEREST = new Set([
   "CSV",
   "XLS",
+  "XLSX",
   // "XML",
   // "SQLITE",
-  // "JSON",
-  // "JSONL",
+  "JSON",
+  "JSONL",
+  "GEOJSON",
+  "ZIP",
   "XLSL",
 ]);
 
-const extractUUIDs = async () => {
+const extractUUIDs = async (portalDir) => {
   const results = [];
-  const files = await FsPromises.readdir(JSON_DIR);
+  const files = await FsPromises.readdir(portalDir);
   for (let file of files) {
     if (!file.endsWith(JSON_SUFFIX)) {
       continue;
@@ -34,12 +56,19 @@ const extractUUIDs = async () => {
   return results;
 };
 
-const generateFilesList = async (uuids) => {
+// The files of the resources which have changed since their datasets were
+// stored are downloaded again
+const generateFilesList = async (db, portal, uuids) => {
+  const portalDir = Path.join(JSON_DIR, portal.id);
   const files = [];
+  const storedDatasets = await MetadataChanges.findStoredDatasets(db, uuids);
   for (let uuid of uuids) {
     const fileName = uuid + JSON_SUFFIX;
-    const filePath = Path.join(JSON_DIR, fileName);
+    const filePath = Path.join(portalDir, fileName);
     const data = JSON.parse(await FsPromises.readFile(filePath));
+    const changedIds = new Set(
+      MetadataChanges.getChangedResourceIds(storedDatasets[data.id], data)
+    );
     const resources = data.resources;
     for (let r of resources) {
       if (!FORMATS_OF_INTEREST.has(r.format.toUpperCase())) {
@@ -48,76 +77,235 @@ const generateFilesList = async (uuids) => {
       if (!r.id || !r.url) {
         continue;
       }
-      files.push({ id: r.id, url: r.url, format: r.format.toLowerCase() });
+      files.push({
+        id: r.id,
+        portal: portal.id,
+        url: r.url,
+        format: r.format.toLowerCase(),
+        changed: changedIds.has(r.id),
+      });
     }
   }
   return files;
 };
 
-const filterFilesList = async (filesList) => {
+// Existing files are skipped, unless their resources have changed or their
+// sizes differ from the recorded downloads
+const filterFilesList = async (db, filesList) => {
+  const recorded = {};
+  const found = await db
+    .collection(MANIFEST_COLLECTION)
+    .find(
+      { uuid: { $in: filesList.map((f) => f.id) }, status: "success" },
+      { projection: { _id: false, uuid: true, content_length: true } }
+    )
+    .toArray();
+  found.forEach((d) => (recorded[d.uuid] = d));
   const filtered = [];
   for (let metadata of filesList) {
     const fileName = `${metadata.id}.${metadata.format}`;
     const filePath = Path.join(FILES_DIR, fileName);
-    const fileExists = await FsPromises.access(filePath, Fs.constants.F_OK)
-      .then(() => true)
-      .catch(() => false);
-    if (fileExists) {
-      continue;
+    const fileStats = await FsPromises.stat(filePath).catch(() => null);
+    if (fileStats && !metadata.changed) {
+      const download = recorded[metadata.id];
+      if (!download || download.content_length === fileStats.size) {
+        continue;
+      }
     }
     filtered.push(metadata);
   }
   return filtered;
 };
 
-const downloadFile = async (metadata) => {
-  const fileName = `${metadata.id}.${metadata.format}`;
-  const filePath = Path.join(FILES_DIR, fileName);
+// Returns the files whose last download failed, to retry them selectively,
+// or the ones queued again by an administrator
+const getFilesListByStatus = async (db, portal, status) => {
+  const found = await db
+    .collection(MANIFEST_COLLECTION)
+    .find({ portal: portal.id, status })
+    .toArray();
+  return found.map((d) => {
+    return { id: d.uuid, portal: d.portal, url: d.url, format: d.format };
+  });
+};
+
+const getHost = (url) => {
   try {
-    const res = await Axios({
-      method: "get",
-      url: metadata.url,
-      responseType: "stream",
-    });
-    const writer = Fs.createWriteStream(filePath);
-    await new Promise((resolve, reject) => {
-      res.data.pipe(writer);
-      let e;
-      writer.on("error", (err) => {
-        e = err;
-        writer.close();
-        return reject(err);
-      });
-      writer.on("close", () => {
-        if (!e) {
-          return resolve(true);
+    return new URL(url).host;
+  } catch (_) {
+    return null;
+  }
+};
+
+const sleep = (ms) => {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+};
+
+// Limits the number of concurrent downloads from each host, on top of the
+// global concurrency of the pool
+class HostLimiter {
+  constructor(limit) {
+    this.limit = limit;
+    this.active = new Map();
+    this.waiting = new Map();
+  }
+
+  async run(host, task) {
+    while ((this.active.get(host) || 0) >= this.limit) {
+      await new Promise((resolve) => {
+        if (!this.waiting.has(host)) {
+          this.waiting.set(host, []);
         }
+        this.waiting.get(host).push(resolve);
       });
+    }
+    this.active.set(host, (this.active.get(host) || 0) + 1);
+    try {
+      return await task();
+    } finally {
+      this.active.set(host, this.active.get(host) - 1);
+      const waiting = this.waiting.get(host);
+      if (waiting && waiting.length > 0) {
+        waiting.shift()();
+      }
+    }
+  }
+}
+
+// Network errors, timeouts, rate limits and server errors are retried
+class DownloadError extends Error {
+  constructor(message, httpStatus, retryable) {
+    super(message);
+    this.name = "DownloadError";
+    this.httpStatus = httpStatus;
+    this.retryable = retryable;
+  }
+}
+
+// Downloads a file to a temporary file which is only renamed once complete,
+// so that an interrupted download never leaves a partial file behind.
+// Returns the HTTP status, the content length and the SHA-256 of the file.
+const fetchFile = async (url, filePath) => {
+  let res;
+  try {
+    res = await Axios({
+      method: "get",
+      url,
+      responseType: "stream",
+      timeout: DOWNLOAD_TIMEOUT_MS,
+      // The content length is checked against the uncompressed file
+      headers: { "Accept-Encoding": "identity" },
     });
-  } catch (_) {
-    // skip unaccessible files
+  } catch (err) {
+    const httpStatus = err.response ? err.response.status : null;
+    throw new DownloadError(
+      err.message,
+      httpStatus,
+      !httpStatus || httpStatus === 429 || httpStatus >= 500
+    );
+  }
+  const tmpPath = filePath + TMP_SUFFIX;
+  const hash = Crypto.createHash("sha256");
+  let contentLength = 0;
+  res.data.on("data", (chunk) => {
+    hash.update(chunk);
+    contentLength += chunk.length;
+  });
+  try {
+    await pipeline(res.data, Fs.createWriteStream(tmpPath));
+    const expectedLength = Number.parseInt(res.headers["content-length"]);
+    if (!Number.isNaN(expectedLength) && expectedLength !== contentLength) {
+      throw new Error(`Received ${contentLength} of ${expectedLength} bytes`);
+    }
+  } catch (err) {
+    await FsPromises.unlink(tmpPath).catch(() => {});
+    throw new DownloadError(err.message, res.status, true);
   }
+  await FsPromises.rename(tmpPath, filePath);
+  return {
+    http_status: res.status,
+    content_length: contentLength,
+    sha256: hash.digest("hex"),
+  };
 };
 
-(async () => {
-  const config = JSON.parse(
-    await FsPromises.readFile(Path.join(__dirname, "../app.config.json"))
-  );
-  await Mkdirp(JSON_DIR);
-  await Mkdirp(FILES_DIR);
-  const uuids = await extractUUIDs();
-  console.log(uuids.length, "UUIDs extracted");
-  const fileList = await generateFilesList(uuids);
-  console.log(
-    fileList.length,
-    "URLs for",
-    JSON.stringify([...FORMATS_OF_INTEREST]),
-    "formats extracted"
+// Records the outcome of the download of a file in the manifest
+const recordDownload = async (db, metadata, result) => {
+  await db.collection(MANIFEST_COLLECTION).replaceOne(
+    { uuid: metadata.id },
+    {
+      uuid: metadata.id,
+      portal: metadata.portal,
+      url: metadata.url,
+      format: metadata.format,
+      ...result,
+      updated_at: new Date(),
+    },
+    { upsert: true }
   );
-  const filtered = await filterFilesList(fileList);
+};
+
+// Retries with exponential backoff, the host being released while waiting
+const downloadFile = async (db, limiter, metadata) => {
+  const fileName = `${metadata.id}.${metadata.format}`;
+  const filePath = Path.join(FILES_DIR, fileName);
+  let result;
+  for (let attempt = 1; ; ++attempt) {
+    try {
+      const downloaded = await limiter.run(getHost(metadata.url), () =>
+        fetchFile(metadata.url, filePath)
+      );
+      result = { status: "success", attempts: attempt, ...downloaded };
+      break;
+    } catch (err) {
+      if (!err.retryable || attempt === MAX_ATTEMPTS) {
+        result = {
+          status: "failed",
+          attempts: attempt,
+          http_status: err.httpStatus || null,
+          reason: err.message,
+        };
+        break;
+      }
+      await sleep(RETRY_BASE_DELAY_MS * 2 ** (attempt - 1));
+    }
+  }
+  await recordDownload(db, metadata, result);
+  return result;
+};
+
+// The files of all the portals are downloaded to the same directory, named
+// after the ids of the resources
+const downloadPortalFiles = async (db, portal) => {
+  let filtered;
+  if (RETRY_FAILED) {
+    filtered = await getFilesListByStatus(db, portal, "failed");
+    console.log(filtered.length, "failed files of", portal.siteName);
+  } else {
+    const portalDir = Path.join(JSON_DIR, portal.id);
+    await Mkdirp(portalDir);
+    const uuids = await extractUUIDs(portalDir);
+    console.log(uuids.length, "UUIDs extracted from", portal.siteName);
+    const fileList = await generateFilesList(db, portal, uuids);
+    console.log(
+      fileList.length,
+      "URLs for",
+      JSON.stringify([...FORMATS_OF_INTEREST]),
+      "formats extracted"
+    );
+    filtered = await filterFilesList(db, fileList);
+    const queued = await getFilesListByStatus(db, portal, "queued");
+    const filteredIds = new Set(filtered.map((f) => f.id));
+    filtered.push(...queued.filter((f) => !filteredIds.has(f.id)));
+  }
   const shuffled = Underscore.shuffle(filtered);
   console.log(shuffled.length, "files not downloaded");
 
+  const limiter = new HostLimiter(
+    portal.fileDownloaderHostConcurrency || DEFAULT_HOST_CONCURRENCY
+  );
+  let failedCount = 0;
+
   const promiseProducer = () => {
     console.log(
       filtered.length - shuffled.length,
@@ -129,11 +317,15 @@ const downloadFile = async (metadata) => {
       return null;
     }
     const curr = shuffled.pop();
-    return downloadFile(curr);
+    return downloadFile(db, limiter, curr).then((result) => {
+      if (result.status === "failed") {
+        failedCount += 1;
+      }
+    });
   };
   const pool = new PromisePool(
     promiseProducer,
-    config.portal.fileDownloaderConcurrency
+    portal.fileDownloaderConcurrency
   );
   await new Promise((resolve, reject) => {
     pool.start().then(
@@ -145,6 +337,22 @@ const downloadFile = async (metadata) => {
       }
     );
   });
+  console.log(failedCount, "files failed, see the downloads collection");
+};
+
+(async () => {
+  const config = JSON.parse(
+    await FsPromises.readFile(Path.join(__dirname, "../app.config.json"))
+  );
+  await Mkdirp(FILES_DIR);
+  const db = await MongoUtil.getDb();
+  for (let portal of config.portals) {
+    await downloadPortalFiles(db, portal);
+  }
+  // The files with the same content are processed once, see Duplicates.js
+  const duplicateCount = await Duplicates.linkDuplicates(db);
+  console.log(duplicateCount, "files are duplicates of other files");
   console.log("All done");
+  MongoUtil.disconnect();
   process.exit(0);
 })();
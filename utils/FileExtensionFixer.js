@@ -4,6 +4,7 @@ const ChildProcess = require("child_process");
 
 const FILES_DIR = "../data/files/";
 const NUMBER_OF_THREADS = 16;
+const JSON_EXTENSIONS = [".json", ".geojson", ".jsonl"];
 
 const getFileInfo = (path) => {
   return new Promise((resolve, reject) => {
@@ -15,6 +16,15 @@ const getFileInfo = (path) => {
       if (output.includes("html")) {
         return resolve("html");
       }
+      // The JSON extensions are kept, JSONFlattener.py tells the formats
+      // apart by their contents
+      if (output.includes("json")) {
+        return resolve(
+          JSON_EXTENSIONS.includes(Path.extname(path))
+            ? Path.extname(path).slice(1)
+            : "json"
+        );
+      }
       if (output.includes("csv")) {
         return resolve("csv");
       }
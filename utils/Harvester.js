@@ -0,0 +1,61 @@
+// Harvesters list the datasets of a portal and normalize them into the
+// documents returned by the package_search API of CKAN, which the rest of
+// Governor expects:
+// {id, name, title, notes, metadata_created, metadata_modified,
+//  organization: {title, description}, tags: [{name}],
+//  resources: [{id, name, description, format, url, last_modified, size}]}
+// The harvester of a portal is selected with its `type` in the config.
+const { v5: uuidv5 } = require("uuid");
+
+class Harvester {
+  constructor(portal) {
+    this.portal = portal;
+  }
+
+  // harvest(modifiedSince)
+  // Implemented by the harvesters as an async generator, which yields batches
+  // of normalized datasets, only the ones modified since the given ISO date
+  // if any
+  harvest() {
+    throw new Error("Not implemented");
+  }
+
+  // The row search relies on the resource ids being UUIDs, the resources of
+  // the other catalogs get a UUID 5 of their key in the namespace of the
+  // portal
+  getResourceId(key) {
+    const namespace = uuidv5(`governor:${this.portal.id}`, uuidv5.URL);
+    return uuidv5(key, namespace);
+  }
+
+  // For the catalogs which cannot be queried by modification time, the
+  // datasets are all listed and filtered
+  isModifiedSince(dataset, modifiedSince) {
+    return (
+      !modifiedSince ||
+      !dataset.metadata_modified ||
+      new Date(dataset.metadata_modified) >= new Date(modifiedSince)
+    );
+  }
+}
+
+const getHarvester = (portal) => {
+  const type = portal.type || "ckan";
+  switch (type) {
+    case "ckan":
+      return new (require("./CKANHarvester"))(portal);
+    case "socrata":
+      return new (require("./SocrataHarvester"))(portal);
+    case "opendatasoft":
+      return new (require("./OpenDataSoftHarvester"))(portal);
+    case "dcat":
+      return new (require("./DCATHarvester"))(portal);
+    default:
+      throw new Error(`Unknown portal type: ${type}`);
+  }
+};
+
+module.exports = {
+  Harvester,
+  getHarvester,
+};
@@ -0,0 +1,228 @@
+import pymongo
+import os
+import sys
+import csv
+import json
+import DerivedResources
+
+'''
+Flattens a JSON, GeoJSON or JSONL file into a CSV table derived from its
+resource. The records are found at the path of the largest array of objects
+(e.g. "result.records"), or are the features of a GeoJSON FeatureCollection,
+or the lines of a JSONL file. Nested objects become columns named by their
+dotted paths, arrays are kept as JSON, and the geometries of the features
+become WKT, latitude and longitude columns. The path of the records is
+recorded in the derived resource and copied to the inferred stats by
+CSVInferer.py. Exits with 1 when the file cannot be read, so that the
+pipeline retries it, and with 0 when it is skipped (e.g. already flattened).
+'''
+
+FILE_SIZE_LIMIT = 1e8
+MAX_SEARCH_DEPTH = 4
+ROOT_PATH = "$"
+GEOMETRY_COLUMNS = ["geometry_wkt", "latitude", "longitude"]
+CONFIG_PATH = os.path.abspath(os.path.join(os.path.dirname(
+    os.path.abspath(__file__)), "..", "app.config.json"))
+
+with open(CONFIG_PATH) as f:
+    config = json.load(f)
+
+
+def find_records(data, path=ROOT_PATH, depth=0):
+    '''
+    Returns the path and the records of the largest array of objects
+    '''
+    best = (None, [])
+    if isinstance(data, list):
+        records = [r for r in data if isinstance(r, dict)]
+        if len(records) > 0 and len(records) >= len(data) / 2:
+            return path, records
+    if isinstance(data, dict) and depth < MAX_SEARCH_DEPTH:
+        for key, value in data.items():
+            found = find_records(value, "%s.%s" % (path, key), depth + 1)
+            if len(found[1]) > len(best[1]):
+                best = found
+    return best
+
+
+def flatten(record, prefix="", row=None):
+    if row is None:
+        row = {}
+    for key, value in record.items():
+        name = "%s%s" % (prefix, key)
+        if isinstance(value, dict):
+            flatten(value, name + ".", row)
+        elif isinstance(value, list):
+            row[name] = json.dumps(value, ensure_ascii=False)
+        else:
+            row[name] = value
+    return row
+
+
+def format_position(position):
+    return " ".join(str(c) for c in position[:2])
+
+
+def format_ring(ring):
+    return "(%s)" % ", ".join(format_position(p) for p in ring)
+
+
+def to_wkt(geometry):
+    kind = geometry.get("type")
+    coordinates = geometry.get("coordinates")
+    if kind == "Point":
+        return "POINT (%s)" % format_position(coordinates)
+    if kind == "MultiPoint":
+        return "MULTIPOINT (%s)" % ", ".join(
+            "(%s)" % format_position(p) for p in coordinates)
+    if kind == "LineString":
+        return "LINESTRING %s" % format_ring(coordinates)
+    if kind == "MultiLineString":
+        return "MULTILINESTRING (%s)" % ", ".join(
+            format_ring(l) for l in coordinates)
+    if kind == "Polygon":
+        return "POLYGON (%s)" % ", ".join(format_ring(r) for r in coordinates)
+    if kind == "MultiPolygon":
+        return "MULTIPOLYGON (%s)" % ", ".join(
+            "(%s)" % ", ".join(format_ring(r) for r in p) for p in coordinates)
+    if kind == "GeometryCollection":
+        return "GEOMETRYCOLLECTION (%s)" % ", ".join(
+            to_wkt(g) for g in geometry.get("geometries", []))
+    return None
+
+
+def get_positions(geometry):
+    if geometry.get("type") == "GeometryCollection":
+        return [p for g in geometry.get("geometries", [])
+                for p in get_positions(g)]
+    positions = []
+    stack = [geometry.get("coordinates")]
+    while len(stack) > 0:
+        c = stack.pop()
+        if isinstance(c, list) and len(c) >= 2 and all(
+                isinstance(v, (int, float)) for v in c[:2]):
+            positions.append(c)
+        elif isinstance(c, list):
+            stack.extend(c)
+    return positions
+
+
+def get_geometry_columns(geometry):
+    '''
+    The latitude and longitude are those of a point, or the center of the
+    bounding box of the other geometries
+    '''
+    if not isinstance(geometry, dict):
+        return {c: None for c in GEOMETRY_COLUMNS}
+    positions = get_positions(geometry)
+    if len(positions) == 0:
+        return {"geometry_wkt": to_wkt(geometry), "latitude": None,
+                "longitude": None}
+    longitudes = [p[0] for p in positions]
+    latitudes = [p[1] for p in positions]
+    return {
+        "geometry_wkt": to_wkt(geometry),
+        "latitude": (min(latitudes) + max(latitudes)) / 2,
+        "longitude": (min(longitudes) + max(longitudes)) / 2,
+    }
+
+
+def read_records(path):
+    '''
+    Returns the format, the path and the rows of the records of a file
+    '''
+    try:
+        with open(path, encoding="utf-8-sig") as f:
+            data = json.load(f)
+    except ValueError:
+        rows = []
+        with open(path, encoding="utf-8-sig") as f:
+            for line in f:
+                line = line.strip()
+                if len(line) == 0:
+                    continue
+                record = json.loads(line)
+                if isinstance(record, dict):
+                    rows.append(flatten(record))
+        return "jsonl", ROOT_PATH, rows
+    if isinstance(data, dict) and data.get("type") == "FeatureCollection":
+        rows = []
+        for feature in data.get("features", []):
+            row = flatten(feature.get("properties") or {})
+            row.update(get_geometry_columns(feature.get("geometry")))
+            rows.append(row)
+        return "geojson", ROOT_PATH + ".features", rows
+    records_path, records = find_records(data)
+    return "json", records_path, [flatten(r) for r in records]
+
+
+def write_csv(path, rows):
+    columns = {}
+    for row in rows:
+        for c in row:
+            columns[c] = True
+    tmp_path = path + ".part"
+    with open(tmp_path, "w", encoding="utf-8", newline="") as f:
+        writer = csv.writer(f)
+        writer.writerow(list(columns))
+        for row in rows:
+            writer.writerow(["" if row.get(c) is None else row.get(c)
+                            for c in columns])
+    os.replace(tmp_path, path)
+
+
+file_path = sys.argv[1]
+parent_id = os.path.splitext(os.path.basename(file_path))[0]
+
+print("Flattening", parent_id, "...")
+
+if not os.path.isfile(file_path):
+    print(parent_id, "cannot be opened, quitting...")
+    sys.exit(1)
+
+if os.path.getsize(file_path) > FILE_SIZE_LIMIT:
+    print(parent_id, "is too large, quitting...")
+    sys.exit(1)
+
+mongo_client = pymongo.MongoClient(config["mongodb"]["uri"])
+db = mongo_client[config["mongodb"]["db"]]
+
+dataset, parent = DerivedResources.find_parent(db, parent_id)
+if parent is None:
+    print(parent_id, "is not in the metadata, quitting...")
+    mongo_client.close()
+    sys.exit(0)
+
+sha256 = DerivedResources.get_file_sha256(file_path)
+if DerivedResources.is_up_to_date(db, parent_id, sha256):
+    # The metadata may have been imported again since the flattening
+    DerivedResources.register_derived_resources(db, parent_id)
+    print(parent_id, "has already been processed, quitting...")
+    mongo_client.close()
+    sys.exit(0)
+
+try:
+    source_format, records_path, rows = read_records(file_path)
+except Exception as e:
+    print(parent_id, "cannot be read:", e)
+    mongo_client.close()
+    sys.exit(1)
+
+resources = []
+if len(rows) > 0:
+    derived_id = DerivedResources.get_derived_id(parent_id, records_path)
+    write_csv(os.path.join(DerivedResources.BASE_DIR,
+              derived_id + ".csv"), rows)
+    resources.append({
+        "id": derived_id,
+        "name": parent.get("name") or parent_id,
+        "description": parent.get("description"),
+        "format": "CSV",
+        "url": parent.get("url"),
+        "parent_id": parent_id,
+        "source": {"format": source_format, "path": records_path},
+    })
+
+DerivedResources.save_derived_resources(db, parent_id, resources, sha256)
+print(len(rows), "records of", parent_id, "are flattened")
+mongo_client.close()
@@ -248,7 +248,11 @@ if __name__ == "__main__":
         })
 
     print("Writing scores to database...")
-    db["keyjoinscores"].insert_many(scores)
+    # The scores of all the pairs are computed again, replacing the scores of
+    # the tables which have changed
+    db["keyjoinscores"].delete_many({})
+    if len(scores) > 0:
+        db["keyjoinscores"].insert_many(scores)
 
     mongo_client.close()
     print("Done.")
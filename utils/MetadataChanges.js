@@ -0,0 +1,43 @@
+// Change detection between the stored metadata of the datasets and the newly
+// downloaded one. The file of a resource is considered changed if any of the
+// fields which CKAN updates along with the file differs.
+const COLLECTION = "metadata";
+const RESOURCE_CHANGE_FIELDS = ["url", "last_modified", "size", "hash"];
+
+// Returns the stored datasets with the given ids, by id
+const findStoredDatasets = async (db, ids) => {
+  const projection = { _id: false, id: true };
+  RESOURCE_CHANGE_FIELDS.forEach((f) => (projection[`resources.${f}`] = true));
+  projection["resources.id"] = true;
+  const found = await db
+    .collection(COLLECTION)
+    .find({ id: { $in: ids } }, { projection })
+    .toArray();
+  const datasets = {};
+  found.forEach((d) => (datasets[d.id] = d));
+  return datasets;
+};
+
+// Returns the ids of the resources of a dataset whose files have changed
+// since it was stored. New resources are not included.
+const getChangedResourceIds = (stored, dataset) => {
+  if (!stored) {
+    return [];
+  }
+  const storedResources = {};
+  (stored.resources || []).forEach((r) => (storedResources[r.id] = r));
+  return (dataset.resources || [])
+    .filter((r) => {
+      const storedResource = storedResources[r.id];
+      return (
+        storedResource &&
+        RESOURCE_CHANGE_FIELDS.some((f) => storedResource[f] !== r[f])
+      );
+    })
+    .map((r) => r.id);
+};
+
+module.exports = {
+  findStoredDatasets,
+  getChangedResourceIds,
+};
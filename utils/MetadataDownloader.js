@@ -1,21 +1,61 @@
-const Axios = require("axios");
 const FsPromises = require("fs/promises");
 const Mkdirp = require("mkdirp");
 const Path = require("path");
+const MongoUtil = require("../src/server/MongoUtil");
+const Facets = require("../src/server/Facets");
+const { getHarvester } = require("./Harvester");
 
 const JSON_DIR = Path.join(__dirname, "../data/json/");
 const JSON_SUFFIX = ".json";
-const BATCH_SIZE = 100;
 
-const downloadMetadata = async (url, offset) => {
-  try {
-    const res = await Axios.get(`${url}?start=${offset}&rows=${BATCH_SIZE}`);
-    const data = res.data;
-    if (data.success) {
-      return data.result.results;
+// With --incremental, only the packages modified since the last stored one
+// are downloaded
+const INCREMENTAL = process.argv.includes("--incremental");
+
+// Returns the latest modification time of the stored datasets of a portal as
+// an ISO date, or null if none is stored. The times of CKAN are in UTC without
+// a time zone. The bound is inclusive, so the latest dataset is downloaded
+// again but no change made within the same second is missed. The datasets
+// stored before the portals were recorded belong to the first portal.
+const getLastModified = async (db, portal) => {
+  const latest = await db
+    .collection("metadata")
+    .find(
+      {
+        ...Facets.createPortalMatch(portal.id),
+        metadata_modified: { $exists: true },
+      },
+      { projection: { _id: false, metadata_modified: true } }
+    )
+    .sort({ metadata_modified: -1 })
+    .limit(1)
+    .toArray();
+  if (latest.length === 0) {
+    return null;
+  }
+  const modified = latest[0].metadata_modified;
+  const date = new Date(
+    /(Z|[+-]\d\d:?\d\d)$/.test(modified) ? modified : `${modified}Z`
+  );
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+// The metadata of each portal is downloaded to its own directory, named
+// after the id of the portal, in the form of CKAN whatever the type of the
+// portal
+const downloadPortalMetadata = async (portal, modifiedSince) => {
+  const portalDir = Path.join(JSON_DIR, portal.id);
+  await Mkdirp(portalDir);
+  let count = 0;
+  for await (const datasets of getHarvester(portal).harvest(modifiedSince)) {
+    for (let d of datasets) {
+      const uuid = d.id;
+      const fileName = uuid + JSON_SUFFIX;
+      const filePath = Path.join(portalDir, fileName);
+      await FsPromises.writeFile(filePath, JSON.stringify(d));
+      count += 1;
     }
-  } catch (_) {
-    // continue regardless of error
+    console.log(count, "metadata files downloaded from", portal.siteName);
   }
 };
 
@@ -23,22 +63,25 @@ const downloadMetadata = async (url, offset) => {
   const config = JSON.parse(
     await FsPromises.readFile(Path.join(__dirname, "../app.config.json"))
   );
-  const apiUrl = config.portal.packageApiUrl;
-  await Mkdirp(JSON_DIR);
-  let count = 0;
-  for (let i = 0; ; i += BATCH_SIZE) {
-    const result = await downloadMetadata(apiUrl, i);
-    if (result.length === 0) {
-      process.exit(0);
+  const db = INCREMENTAL ? await MongoUtil.getDb() : null;
+  for (let portal of config.portals) {
+    const modifiedSince = db ? await getLastModified(db, portal) : null;
+    if (modifiedSince) {
+      console.log(
+        "Downloading",
+        portal.siteName,
+        "changes since",
+        modifiedSince
+      );
     }
-
-    for (let r of result) {
-      const uuid = r.id;
-      const fileName = uuid + JSON_SUFFIX;
-      const filePath = Path.join(JSON_DIR, fileName);
-      await FsPromises.writeFile(filePath, JSON.stringify(r));
-      count += 1;
+    try {
+      await downloadPortalMetadata(portal, modifiedSince);
+    } catch (err) {
+      console.log("Failed to download the metadata of", portal.siteName, err);
     }
-    console.log(count, "metadata files downloaded");
   }
+  if (db) {
+    MongoUtil.disconnect();
+  }
+  process.exit(0);
 })();
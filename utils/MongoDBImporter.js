@@ -1,27 +1,118 @@
 const fs = require("fs/promises");
 const path = require("path");
 const MongoUtil = require("../src/server/MongoUtil");
+const Facets = require("../src/server/Facets");
+const MetadataChanges = require("./MetadataChanges");
 
 const JSON_DIR = path.join(__dirname, "../data/json/");
+const PARQUET_CACHE_DIR = path.join(__dirname, "../data/parquet_cache/");
 
-(async () => {
-  console.log("Connecting to MongoDB...");
-  const db = await MongoUtil.getDb();
+// Results computed from the files of the tables, which are removed when the
+// files change so that the preprocessing computes them again
+const DERIVED_COLLECTIONS = [
+  "inferredhistograms",
+  "inferredcolumnstats",
+  "columnsketches",
+];
+
+// Returns the derivedresources documents of the tables extracted from the
+// files of the given resources, and from the files extracted from them
+const findDerivedResources = async (db, parentIds) => {
+  const found = [];
+  while (parentIds.length > 0) {
+    const derived = await db
+      .collection("derivedresources")
+      .find({ parent_id: { $in: parentIds } })
+      .toArray();
+    found.push(...derived);
+    parentIds = derived.map((d) => d.id);
+  }
+  return found;
+};
+
+// Marks a table whose file has changed for re-indexing, with the tables
+// extracted from it since their files are extracted again: the search
+// indexer processes the stale files again from scratch, replacing their
+// inferred stats and rows. Returns the number of marked tables.
+const markForReprocessing = async (db, uuid) => {
+  const derived = await findDerivedResources(db, [uuid]);
+  const uuids = [uuid, ...derived.map((d) => d.id)];
+  for (let u of uuids) {
+    await db
+      .collection("processedfiles")
+      .updateOne(
+        { uuid: u },
+        { $set: { stale: true }, $unset: { checkpoint: "" } }
+      );
+    for (let c of DERIVED_COLLECTIONS) {
+      await db.collection(c).deleteMany({ uuid: u });
+    }
+    for (let suffix of ["", "_num_index"]) {
+      try {
+        await fs.unlink(path.join(PARQUET_CACHE_DIR, `${u}${suffix}.parquet`));
+      } catch (_) {
+        // ignore, file may not be cached
+      }
+    }
+  }
+  return uuids.length;
+};
 
+// The datasets are stamped with the id of the portal they were downloaded
+// from, and replace the stored ones with the same id in the same portal
+const importPortalMetadata = async (db, portal) => {
+  const portalDir = path.join(JSON_DIR, portal.id);
   let files;
   try {
-    files = await fs.readdir(JSON_DIR);
+    files = await fs.readdir(portalDir);
   } catch (_) {
     files = [];
   }
+  let changedCount = 0;
   for (let f of files) {
     try {
-      const json = JSON.parse(await fs.readFile(path.join(JSON_DIR, f)));
-      await db.collection("metadata").insertOne(json);
+      const json = JSON.parse(await fs.readFile(path.join(portalDir, f)));
+      json.portal = portal.id;
+      const datasetMatch = {
+        id: json.id,
+        ...Facets.createPortalMatch(portal.id),
+      };
+      const stored = await db.collection("metadata").findOne(datasetMatch);
+      const changedIds = MetadataChanges.getChangedResourceIds(stored, json);
+      for (let uuid of changedIds) {
+        changedCount += await markForReprocessing(db, uuid);
+      }
+      // The tables extracted from the files of the resources, and from the
+      // files extracted from them, are kept until the preprocessing extracts
+      // them again
+      json.resources = json.resources || [];
+      const derived = await findDerivedResources(
+        db,
+        json.resources.map((r) => r.id)
+      );
+      json.resources.push(...derived.map((d) => d.resource));
+      await db
+        .collection("metadata")
+        .replaceOne(datasetMatch, json, { upsert: true });
     } catch (err) {
       // ignore error
     }
   }
+  console.log(files.length, "datasets imported from", portal.siteName);
+  console.log(changedCount, "changed tables marked for re-indexing");
+};
+
+(async () => {
+  const config = JSON.parse(
+    await fs.readFile(path.join(__dirname, "../app.config.json"))
+  );
+
+  console.log("Connecting to MongoDB...");
+  const db = await MongoUtil.getDb();
+
+  for (let portal of config.portals) {
+    await importPortalMetadata(db, portal);
+  }
 
   console.log("All done");
 
@@ -21,6 +21,9 @@ const MongoUtil = require("../src/server/MongoUtil");
   await metadataCollection.createIndex({ "resources.id": 1 });
   await metadataCollection.createIndex({ id: -1 });
   await metadataCollection.createIndex({ id: 1 });
+  await metadataCollection.createIndex({ portal: 1 });
+  await metadataCollection.createIndex({ portal: 1, id: 1 }, { unique: true });
+  await metadataCollection.createIndex({ portal: 1, metadata_modified: -1 });
   console.log("Created index for metadata");
 
   const inferredcolumnstatsCollection = db.collection("inferredcolumnstats");
@@ -43,6 +46,7 @@ const MongoUtil = require("../src/server/MongoUtil");
     query_index: 1,
   });
   await keyjoinscoresCollection.createIndex({ query_uuid: 1 });
+  await keyjoinscoresCollection.createIndex({ target_uuid: 1 });
   await keyjoinscoresCollection.createIndex({
     query_uuid: 1,
     target_uuid: 1,
@@ -53,6 +57,41 @@ const MongoUtil = require("../src/server/MongoUtil");
   await sameschemagroupsCollection.createIndex({ uuids: 1 });
   console.log("Created index for sameschemagroups");
 
+  const datadictionariesCollection = db.collection("datadictionaries");
+  await datadictionariesCollection.createIndex({ resource_id: 1 });
+  console.log("Created index for datadictionaries");
+
+  const processedfilesCollection = db.collection("processedfiles");
+  await processedfilesCollection.createIndex({ uuid: 1 });
+  console.log("Created index for processedfiles");
+
+  const downloadsCollection = db.collection("downloads");
+  await downloadsCollection.createIndex({ uuid: 1 });
+  await downloadsCollection.createIndex({ portal: 1, status: 1 });
+  await downloadsCollection.createIndex({ sha256: 1 });
+  await downloadsCollection.createIndex({ canonical_uuid: 1 });
+  console.log("Created index for downloads");
+
+  const parquetcacheCollection = db.collection("parquetcache");
+  await parquetcacheCollection.createIndex({ uuid: 1 });
+  await parquetcacheCollection.createIndex({ cached: 1, last_accessed: 1 });
+  await parquetcacheCollection.createIndex({ hits: -1 });
+  console.log("Created index for parquetcache");
+
+  const derivedresourcesCollection = db.collection("derivedresources");
+  await derivedresourcesCollection.createIndex({ parent_id: 1 });
+  await derivedresourcesCollection.createIndex({ id: 1 });
+  console.log("Created index for derivedresources");
+
+  const columnsketchesCollection = db.collection("columnsketches");
+  await columnsketchesCollection.createIndex({ bands: 1 });
+  await columnsketchesCollection.createIndex({ uuid: 1, index: 1 });
+  console.log("Created index for columnsketches");
+
+  const pipelinerunsCollection = db.collection("pipelineruns");
+  await pipelinerunsCollection.createIndex({ started_at: -1 });
+  console.log("Created index for pipelineruns");
+
   console.log("All done");
   MongoUtil.disconnect();
   console.log("Disconnected from MongoDB");
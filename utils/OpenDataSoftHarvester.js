@@ -0,0 +1,53 @@
+// Harvester of the OpenDataSoft portals, using the Explore API v2.1
+// (`catalogUrl`, e.g. https://data.opendatasoft.com/api/explore/v2.1). Each
+// dataset has a single resource, its CSV export. The catalog is read from its
+// JSON export, since the paged API refuses the offsets beyond 10000 results.
+const Axios = require("axios");
+const { Harvester } = require("./Harvester");
+
+const BATCH_SIZE = 100;
+
+class OpenDataSoftHarvester extends Harvester {
+  normalize(dataset) {
+    const metas = (dataset.metas && dataset.metas.default) || {};
+    const id = dataset.dataset_id;
+    return {
+      id,
+      name: id,
+      title: metas.title || id,
+      notes: metas.description,
+      metadata_created: metas.metadata_processed || metas.modified,
+      metadata_modified: metas.modified,
+      organization: { title: metas.publisher || "", description: "" },
+      tags: (metas.keyword || []).map((name) => {
+        return { name };
+      }),
+      resources: [
+        {
+          id: this.getResourceId(id),
+          name: metas.title || id,
+          description: metas.description,
+          format: "CSV",
+          // The exports are separated by semicolons by default
+          url: `${this.portal.catalogUrl}/catalog/datasets/${id}/exports/csv?delimiter=%2C`,
+          last_modified: metas.data_processed || metas.modified,
+        },
+      ],
+    };
+  }
+
+  async *harvest(modifiedSince) {
+    const res = await Axios.get(
+      `${this.portal.catalogUrl}/catalog/exports/json`
+    );
+    const datasets = res.data;
+    for (let i = 0; i < datasets.length; i += BATCH_SIZE) {
+      yield datasets
+        .slice(i, i + BATCH_SIZE)
+        .map((d) => this.normalize(d))
+        .filter((d) => this.isModifiedSince(d, modifiedSince));
+    }
+  }
+}
+
+module.exports = OpenDataSoftHarvester;
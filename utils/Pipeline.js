@@ -0,0 +1,485 @@
+const FsPromises = require("fs/promises");
+const Path = require("path");
+const Os = require("os");
+const ChildProcess = require("child_process");
+const Mkdirp = require("mkdirp");
+const PromisePool = require("es6-promise-pool");
+const MongoUtil = require("../src/server/MongoUtil");
+const Duplicates = require("../src/server/Duplicates");
+const { getSearchProvider } = require("../src/server/SearchProvider");
+
+const FILES_DIR = Path.join(__dirname, "../data/files/");
+const JSON_DIR = Path.join(__dirname, "../data/json/");
+const PARQUET_CACHE_DIR = Path.join(__dirname, "../data/parquet_cache/");
+const RUNS_COLLECTION = "pipelineruns";
+
+const FILE_STAGE_TIMEOUT_MS = 2400 * 1000;
+const MAX_OUTPUT_SIZE = 1 << 24;
+// The failed stages of a file are retried by the next runs, until they have
+// failed that many times
+const MAX_STAGE_ATTEMPTS = 3;
+
+const args = process.argv.slice(2);
+const getOption = (name) => {
+  const i = args.indexOf(name);
+  return i >= 0 ? args[i + 1] : undefined;
+};
+
+// --incremental: crawl only the datasets modified since the last crawl
+// --skip-crawl: process the files already downloaded
+// --retry-failed: retry the stages of files which have failed too many times
+// --restart: start a new run instead of resuming the unfinished one
+// --reindex: index all the tables into a new version of the search index,
+//   published once complete
+// --concurrency <n>: the number of files processed in parallel
+const OPTIONS = {
+  incremental: args.includes("--incremental"),
+  skipCrawl: args.includes("--skip-crawl"),
+  retryFailed: args.includes("--retry-failed"),
+  restart: args.includes("--restart"),
+  reindex: args.includes("--reindex"),
+  concurrency: Number.parseInt(getOption("--concurrency")) || Os.cpus().length,
+};
+
+const getCommand = (script) => {
+  return script.endsWith(".py") ? "python3" : "node";
+};
+
+// Runs a script of the whole data with its output shown, rejecting if it
+// exits with an error
+const runScript = (script, scriptArgs = []) => {
+  return new Promise((resolve, reject) => {
+    const child = ChildProcess.spawn(
+      getCommand(script),
+      [Path.join(__dirname, script), ...scriptArgs],
+      { stdio: "inherit" }
+    );
+    child.on("error", reject);
+    child.on("exit", (code, signal) => {
+      if (code === 0) {
+        return resolve();
+      }
+      return reject(new Error(`${script} exited with ${signal || code}`));
+    });
+  });
+};
+
+// Runs a script of a single file with its output kept quiet, rejecting with
+// the last line of the output if it exits with an error or times out
+const runFileScript = (script, scriptArgs) => {
+  return new Promise((resolve, reject) => {
+    ChildProcess.execFile(
+      getCommand(script),
+      [Path.join(__dirname, script), ...scriptArgs],
+      { timeout: FILE_STAGE_TIMEOUT_MS, maxBuffer: MAX_OUTPUT_SIZE },
+      (error, stdout, stderr) => {
+        if (!error) {
+          return resolve(stdout);
+        }
+        if (error.killed) {
+          return reject(new Error(`${script} timed out`));
+        }
+        const lines = `${stdout}\n${stderr}`.trim().split("\n");
+        return reject(new Error(lines[lines.length - 1] || error.message));
+      }
+    );
+  });
+};
+
+// The extraction phases run in turn, since the files extracted from the
+// archives may be workbooks, whose sheets are then extracted
+const EXTRACT_PHASES = [
+  { extensions: [".zip"], script: "ZipExtractor.py" },
+  { extensions: [".xls", ".xlsx"], script: "ExcelSheetExtractor.py" },
+  {
+    extensions: [".json", ".geojson", ".jsonl"],
+    script: "JSONFlattener.py",
+  },
+];
+
+// The extractors exit with an error when a file cannot be extracted, and
+// successfully when it is skipped (e.g. already extracted)
+const EXTRACT_STAGE = {
+  name: "extract",
+  after: [],
+  run: (file) => runFileScript(file.phase.script, [file.path]),
+};
+
+// The stages of each table, in an order compatible with their dependencies.
+// A stage whose dependencies have failed is blocked.
+const TABLE_STAGES = [
+  {
+    name: "infer",
+    after: [],
+    run: (file) => runFileScript("CSVInferer.py", [file.uuid]),
+  },
+  {
+    name: "index",
+    after: ["infer"],
+    run: async (file, db) => {
+      await runFileScript("SearchCSVIndexer.js", [
+        file.path,
+        "--skip-inference",
+        "--force",
+      ]);
+      // The indexer records its errors rather than exiting with them
+      const processed = await db
+        .collection("processedfiles")
+        .findOne({ uuid: file.uuid });
+      if (!processed || !processed.success) {
+        throw new Error(
+          `Indexing failed with error code ${processed && processed.error_code}`
+        );
+      }
+    },
+  },
+  {
+    name: "histograms",
+    after: ["infer"],
+    run: (file) => runFileScript("HistogramGenerator.py", [file.path]),
+  },
+];
+
+// Lists the files with the given extensions, except the duplicates of other
+// files, which are not processed
+const listFiles = async (db, extensions) => {
+  const names = await FsPromises.readdir(FILES_DIR);
+  const duplicates = await Duplicates.findDuplicateIds(db);
+  const files = names
+    .filter((name) => extensions.includes(Path.extname(name).toLowerCase()))
+    .map((name) => {
+      return {
+        uuid: Path.basename(name, Path.extname(name)),
+        path: Path.join(FILES_DIR, name),
+      };
+    });
+  const unique = files.filter((f) => !duplicates.has(f.uuid));
+  if (unique.length < files.length) {
+    console.log(files.length - unique.length, "duplicate files skipped");
+  }
+  return unique;
+};
+
+// The collections of the processed tables, by uuid
+const PROCESSED_COLLECTIONS = [
+  "inferredstats",
+  "inferredhistograms",
+  "inferredcolumnstats",
+  "columnsketches",
+  "processedfiles",
+];
+
+// Removes the duplicates processed before they were found to be duplicates,
+// so that only their canonical resources are searched and joined
+const removeDuplicates = async (db) => {
+  const duplicates = [...(await Duplicates.findDuplicateIds(db))];
+  const indexed = await db
+    .collection("processedfiles")
+    .distinct("uuid", { uuid: { $in: duplicates }, attempted: true });
+  const provider = getSearchProvider();
+  for (let uuid of indexed) {
+    await provider.deleteTable(uuid.split("-").join(""));
+  }
+  for (let c of PROCESSED_COLLECTIONS) {
+    await db.collection(c).deleteMany({ uuid: { $in: duplicates } });
+  }
+  await db.collection("keyjoinscores").deleteMany({
+    $or: [
+      { query_uuid: { $in: duplicates } },
+      { target_uuid: { $in: duplicates } },
+    ],
+  });
+  console.log(
+    duplicates.length,
+    "duplicates,",
+    indexed.length,
+    "removed from the search index"
+  );
+};
+
+const createReport = (stages) => {
+  const report = {};
+  for (let stage of stages) {
+    report[stage.name] = { succeeded: 0, failed: 0, blocked: 0, skipped: 0 };
+  }
+  return report;
+};
+
+// Runs the stages of a file which have not succeeded yet. The stages are
+// recorded in its processedfiles document, and forgotten when the file is
+// marked as stale, so that they all run again.
+const processFile = async (db, file, stages, report) => {
+  const processed = await db
+    .collection("processedfiles")
+    .findOne({ uuid: file.uuid });
+  let states = (processed && processed.stages) || {};
+  if (processed && processed.stale) {
+    await db
+      .collection("processedfiles")
+      .updateOne({ uuid: file.uuid }, { $unset: { stages: "", stale: "" } });
+    states = {};
+  }
+  const failed = new Set();
+  for (let stage of stages) {
+    const counts = report[stage.name];
+    if (stage.after.some((name) => failed.has(name))) {
+      failed.add(stage.name);
+      counts.blocked += 1;
+      continue;
+    }
+    const state = states[stage.name];
+    if (state && state.status === "success") {
+      counts.skipped += 1;
+      continue;
+    }
+    if (
+      state &&
+      state.status === "failed" &&
+      state.attempts >= MAX_STAGE_ATTEMPTS &&
+      !OPTIONS.retryFailed
+    ) {
+      failed.add(stage.name);
+      counts.failed += 1;
+      continue;
+    }
+    const attempts = state ? state.attempts + 1 : 1;
+    let error = null;
+    try {
+      await stage.run(file, db);
+    } catch (err) {
+      error = err.message;
+    }
+    await db.collection("processedfiles").updateOne(
+      { uuid: file.uuid },
+      {
+        $set: {
+          [`stages.${stage.name}`]: {
+            status: error ? "failed" : "success",
+            attempts,
+            error,
+            updated_at: new Date(),
+          },
+        },
+      },
+      { upsert: true }
+    );
+    if (error) {
+      failed.add(stage.name);
+      counts.failed += 1;
+    } else {
+      counts.succeeded += 1;
+    }
+  }
+};
+
+const processFiles = async (db, files, stages, report) => {
+  const queue = [...files];
+  const promiseProducer = () => {
+    if (queue.length === 0) {
+      return null;
+    }
+    if (queue.length % 100 === 0) {
+      console.log(files.length - queue.length, "/", files.length, "files");
+    }
+    return processFile(db, queue.shift(), stages, report);
+  };
+  const pool = new PromisePool(promiseProducer, OPTIONS.concurrency);
+  await pool.start();
+};
+
+// The stages of the whole data, which run in turn. A failed stage stops the
+// run, which resumes from it the next time.
+const RUN_STAGES = [
+  {
+    name: "metadata",
+    crawl: true,
+    run: (run) =>
+      runScript(
+        "MetadataDownloader.js",
+        run.options.incremental ? ["--incremental"] : []
+      ),
+  },
+  {
+    name: "download",
+    crawl: true,
+    run: () => runScript("FileDownloader.js"),
+  },
+  {
+    name: "import",
+    crawl: true,
+    run: async () => {
+      await runScript("MongoDBImporter.js");
+      await FsPromises.rm(JSON_DIR, { recursive: true, force: true });
+    },
+  },
+  {
+    name: "duplicates",
+    run: (run, db) => removeDuplicates(db),
+  },
+  {
+    name: "extract",
+    run: async (run, db) => {
+      const report = createReport([EXTRACT_STAGE]);
+      for (let phase of EXTRACT_PHASES) {
+        const files = await listFiles(db, phase.extensions);
+        console.log(files.length, "files to extract with", phase.script);
+        await processFiles(
+          db,
+          files.map((f) => ({ ...f, phase })),
+          [EXTRACT_STAGE],
+          report
+        );
+      }
+      return report;
+    },
+  },
+  {
+    name: "searchindex",
+    run: async (run, db) => {
+      const indexed = await db
+        .collection("processedfiles")
+        .countDocuments({ attempted: true });
+      if (indexed > 0 && !run.options.reindex) {
+        console.log("Search index exists with", indexed, "tables");
+        return;
+      }
+      // The tables are indexed into the new version, while the searches
+      // read the published one until the publish stage
+      await runScript("SearchIndexCreator.js");
+      await db
+        .collection("processedfiles")
+        .updateMany({}, { $unset: { "stages.index": "", checkpoint: "" } });
+    },
+  },
+  {
+    name: "tables",
+    run: async (run, db) => {
+      const report = createReport(TABLE_STAGES);
+      const files = await listFiles(db, [".csv"]);
+      console.log(files.length, "tables to process");
+      await processFiles(db, files, TABLE_STAGES, report);
+      return report;
+    },
+  },
+  {
+    name: "publish",
+    run: () => runScript("SearchIndexCreator.js", ["--publish"]),
+  },
+  {
+    name: "dictionaries",
+    run: () => runScript("DataDictionaryImporter.js"),
+  },
+  {
+    name: "keyoverlap",
+    run: () => runScript("KeyColumnOverlap.py"),
+  },
+  {
+    name: "unionable",
+    run: () => runScript("UnionableTableFinder.py"),
+  },
+  {
+    name: "sketches",
+    run: () => runScript("ColumnSketchGenerator.js"),
+  },
+  {
+    name: "indexes",
+    run: () => runScript("MongoDBIndexCreator.js"),
+  },
+];
+
+const updateRun = async (db, run, update) => {
+  Object.assign(run, update);
+  await db
+    .collection(RUNS_COLLECTION)
+    .updateOne({ _id: run._id }, { $set: update });
+};
+
+// Resumes the last run unless it has succeeded, with the options it was
+// started with
+const startRun = async (db) => {
+  const runs = db.collection(RUNS_COLLECTION);
+  const last = await runs.findOne({}, { sort: { started_at: -1 } });
+  if (last && last.status !== "success" && !OPTIONS.restart) {
+    console.log("Resuming the run started at", last.started_at);
+    await updateRun(db, last, { status: "running" });
+    return last;
+  }
+  const run = {
+    started_at: new Date(),
+    status: "running",
+    options: {
+      incremental: OPTIONS.incremental,
+      skipCrawl: OPTIONS.skipCrawl,
+      reindex: OPTIONS.reindex,
+    },
+    stages: {},
+  };
+  const { insertedId } = await runs.insertOne(run);
+  run._id = insertedId;
+  return run;
+};
+
+const printSummary = (run) => {
+  console.log("Summary of the run started at", run.started_at);
+  const stages = {};
+  for (let [name, state] of Object.entries(run.stages)) {
+    stages[name] = {
+      status: state.status,
+      seconds: Math.round((state.finished_at - state.started_at) / 1000),
+      error: state.error || "",
+    };
+  }
+  console.table(stages);
+  for (let [name, state] of Object.entries(run.stages)) {
+    if (state.report) {
+      console.log("Files of the", name, "stage");
+      console.table(state.report);
+    }
+  }
+  console.log("See the stages of the failed files in processedfiles");
+};
+
+(async () => {
+  await Mkdirp(FILES_DIR);
+  await Mkdirp(PARQUET_CACHE_DIR);
+  const db = await MongoUtil.getDb();
+  const run = await startRun(db);
+
+  let status = "success";
+  for (let stage of RUN_STAGES) {
+    if (stage.crawl && run.options.skipCrawl) {
+      continue;
+    }
+    const previous = run.stages[stage.name];
+    if (previous && previous.status === "success") {
+      console.log("Stage", stage.name, "has already succeeded, skipping");
+      continue;
+    }
+    console.log("Running stage", stage.name, "...");
+    const state = { status: "running", started_at: new Date() };
+    try {
+      const report = await stage.run(run, db);
+      Object.assign(state, { status: "success", report });
+    } catch (err) {
+      Object.assign(state, { status: "failed", error: err.message });
+    }
+    state.finished_at = new Date();
+    run.stages[stage.name] = state;
+    await db
+      .collection(RUNS_COLLECTION)
+      .updateOne(
+        { _id: run._id },
+        { $set: { [`stages.${stage.name}`]: state } }
+      );
+    if (state.status === "failed") {
+      console.log("Stage", stage.name, "failed:", state.error);
+      status = "failed";
+      break;
+    }
+  }
+  await updateRun(db, run, { status, finished_at: new Date() });
+
+  printSummary(run);
+  MongoUtil.disconnect();
+  process.exit(status === "success" ? 0 : 1);
+})();
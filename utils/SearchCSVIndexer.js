@@ -0,0 +1,266 @@
+const FsPromises = require("fs/promises");
+const Path = require("path");
+const ChildProcess = require("child_process");
+const MongoUtil = require("../src/server/MongoUtil");
+const CSVReader = require("./CSVReader");
+const ValueParser = require("../src/ValueParser");
+const { getSearchProvider } = require("../src/server/SearchProvider");
+const Duplicates = require("../src/server/Duplicates");
+
+const FILE_SIZE_THRESHOLD = 3e9;
+const INDEX_CHUNK_SIZE = 1000;
+const MAX_RECORDED_ROW_ERRORS = 10;
+const VERBOSE = false;
+// The pipeline infers the stats of the tables in a stage of their own
+const SKIP_INFERENCE = process.argv.includes("--skip-inference");
+// and indexes the tables again whenever their index stage has not succeeded
+const FORCE = process.argv.includes("--force");
+
+const ERROR_TYPES = {
+  PYTHON_FAILED: 1,
+  INDEX_FAILED: 2,
+  PARSER_FAILED: 3,
+  FILE_TOO_LARGE: 4,
+};
+
+const PYTHON_SCRIPT_PATH = Path.join(__dirname, "CSVInferer.py");
+const runPythonInferer = (uuid) => {
+  return new Promise((resolve, reject) => {
+    ChildProcess.execFile(
+      "python3",
+      [PYTHON_SCRIPT_PATH, uuid],
+      (error, stdout) => {
+        if (error) {
+          return reject(error);
+        }
+        return resolve(stdout);
+      }
+    );
+  });
+};
+
+// The stages recorded by the pipeline are kept, see utils/Pipeline.js. The
+// checkpoint of a file is kept until it is fully indexed.
+const updateJobStats = async (db, uuid, error, rowStats = {}) => {
+  const update = {
+    $set: { attempted: true, success: !error, ...rowStats },
+    $unset: { stale: "" },
+  };
+  if (error) {
+    update.$set.error_code = error;
+  } else {
+    update.$unset.error_code = "";
+    update.$unset.checkpoint = "";
+  }
+  await db
+    .collection("processedfiles")
+    .updateOne({ uuid }, update, { upsert: true });
+};
+
+// Records the number of the last row of the last indexed batch, from which
+// an interrupted indexing resumes, with the counts of the rows so far
+const saveCheckpoint = async (db, uuid, checkpoint) => {
+  await db
+    .collection("processedfiles")
+    .updateOne(
+      { uuid },
+      { $set: { checkpoint: { ...checkpoint, updated_at: new Date() } } },
+      { upsert: true }
+    );
+};
+
+const toDocument = (row, rowNumber, fields, portal) => {
+  const rowDict = {};
+  const cellsDict = {};
+  for (let j = 0; j < row.length; ++j) {
+    const field = fields[j];
+    if (!field) {
+      continue;
+    }
+    const rawValue = row[j];
+    rowDict[field.name] = ValueParser.parseTypedValue(rawValue, field.type);
+    if (ValueParser.isMissingValue(rawValue)) {
+      continue;
+    }
+    // Cells keep the field name and typed copies of the value together, so
+    // that a column can be searched and compared with ranges
+    cellsDict[field.name] = {
+      field: field.name,
+      value: rawValue,
+      ...ValueParser.parseTypedCopies(rawValue, field.type),
+    };
+  }
+  return {
+    file_id: fileId,
+    portal,
+    row_number: rowNumber,
+    fields: Object.keys(rowDict),
+    values: Object.values(rowDict),
+    cells: Object.values(cellsDict),
+  };
+};
+
+// Yields the documents of the rows after the header, and after the given
+// row number if any, while the file is read
+async function* readDocuments(inferredStats, portal, after) {
+  let i = -1;
+  for await (let row of CSVReader.streamCSV(path, inferredStats.encoding)) {
+    i += 1;
+    if (VERBOSE && i % 10000 === 0) {
+      console.log(i, "rows processed");
+    }
+    if (i <= inferredStats.header || (after !== undefined && i <= after)) {
+      continue;
+    }
+    yield toDocument(row, i, inferredStats.schema.fields, portal);
+  }
+}
+
+const path = process.argv[2];
+console.log("Processing", path);
+if (!path) {
+  process.exit(1);
+}
+
+const uuid = Path.basename(path, Path.extname(path));
+const fileId = uuid.split("-").join("");
+
+const closeDbAndExit = () => {
+  MongoUtil.disconnect();
+  process.exit(0);
+};
+
+(async () => {
+  const provider = getSearchProvider();
+  const db = await MongoUtil.getDb();
+
+  // The content of the duplicates is indexed with their canonical resource
+  const canonicalIds = await Duplicates.getCanonicalIds(db, [uuid]);
+  if (canonicalIds.has(uuid)) {
+    console.log("Document is a duplicate of", canonicalIds.get(uuid));
+    closeDbAndExit();
+  }
+
+  const fileStats = await FsPromises.stat(path);
+  if (fileStats.size > FILE_SIZE_THRESHOLD) {
+    await updateJobStats(db, uuid, ERROR_TYPES.FILE_TOO_LARGE);
+    console.log("File is too large, quitting");
+    closeDbAndExit();
+  }
+
+  const processed = await db.collection("processedfiles").findOne({ uuid });
+  // Stale files have changed since they were processed, and the files with a
+  // checkpoint have not been fully indexed
+  if (
+    processed &&
+    processed.attempted &&
+    !processed.stale &&
+    !processed.checkpoint &&
+    !FORCE
+  ) {
+    console.log("Document has been processed, quitting");
+    closeDbAndExit();
+  }
+
+  // The rows are stamped with the portal of their dataset
+  const metadata = await db
+    .collection("metadata")
+    .findOne(
+      { "resources.id": uuid },
+      { projection: { _id: false, portal: true } }
+    );
+  const portal = metadata && metadata.portal ? metadata.portal : null;
+
+  let inferredStats;
+  try {
+    if (!SKIP_INFERENCE) {
+      await runPythonInferer(uuid);
+    }
+    inferredStats = await db.collection("inferredstats").findOne({ uuid });
+  } catch (err) {
+    // continue regardless of error
+  }
+  if (!inferredStats) {
+    await updateJobStats(db, uuid, ERROR_TYPES.PYTHON_FAILED);
+    console.log("File inference failed, quitting");
+    closeDbAndExit();
+  }
+
+  // The rows after the checkpoint of an interrupted indexing are indexed
+  // again, the table is indexed from scratch otherwise
+  const checkpoint = processed && processed.checkpoint;
+  const after = checkpoint ? checkpoint.row_number : undefined;
+  let indexedCount = checkpoint ? checkpoint.indexed_count : 0;
+  let failedCount = checkpoint ? checkpoint.failed_row_count : 0;
+  const rowErrors = [];
+  let batch = [];
+  const indexBatch = async () => {
+    let failed;
+    try {
+      failed = await provider.indexRows(batch);
+    } catch (err) {
+      err.errorType = ERROR_TYPES.INDEX_FAILED;
+      throw err;
+    }
+    indexedCount += batch.length - failed.length;
+    failedCount += failed.length;
+    rowErrors.push(
+      ...failed.slice(0, MAX_RECORDED_ROW_ERRORS - rowErrors.length)
+    );
+    await saveCheckpoint(db, uuid, {
+      row_number: batch[batch.length - 1].row_number,
+      indexed_count: indexedCount,
+      failed_row_count: failedCount,
+    });
+    batch = [];
+  };
+
+  let error;
+  try {
+    try {
+      if (after !== undefined) {
+        console.log("Resuming after row", after);
+        await provider.deleteTable(fileId, after);
+      } else if (processed) {
+        await provider.deleteTable(fileId);
+      }
+    } catch (err) {
+      err.errorType = ERROR_TYPES.INDEX_FAILED;
+      throw err;
+    }
+    for await (let doc of readDocuments(inferredStats, portal, after)) {
+      batch.push(doc);
+      if (batch.length === INDEX_CHUNK_SIZE) {
+        await indexBatch();
+      }
+    }
+    if (batch.length > 0) {
+      await indexBatch();
+    }
+  } catch (err) {
+    error = err.errorType || ERROR_TYPES.PARSER_FAILED;
+  }
+  // The rows rejected by the index are recorded, the table is only failed if
+  // none of them could be indexed
+  if (!error && failedCount > 0 && indexedCount === 0) {
+    error = ERROR_TYPES.INDEX_FAILED;
+  }
+  const rowStats = {
+    indexed_count: indexedCount,
+    failed_row_count: failedCount,
+    row_errors: rowErrors,
+  };
+  if (error) {
+    await updateJobStats(db, uuid, error, rowStats);
+    console.log(
+      error === ERROR_TYPES.INDEX_FAILED
+        ? "Search indexing failed, quitting"
+        : "File parsing failed, quitting"
+    );
+    closeDbAndExit();
+  }
+
+  await updateJobStats(db, uuid, null, rowStats);
+  console.log(indexedCount, "rows indexed,", failedCount, "rows failed");
+  MongoUtil.disconnect();
+})();
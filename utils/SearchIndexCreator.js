@@ -0,0 +1,114 @@
+const MongoUtil = require("../src/server/MongoUtil");
+const { getSearchProvider } = require("../src/server/SearchProvider");
+
+// Manages the versions of the search index, which are searched through an
+// alias (see src/server/ElasticSearchProvider.js):
+// (no option): creates a new version, into which the tables are indexed
+// --publish: validates the version being written and makes the searches
+//   read it, deleting the older versions but the previous one
+// --rollback: makes the searches read the previous version again
+// --list: lists the versions
+const args = process.argv.slice(2);
+
+// Maximum number of mismatched tables printed by the validation
+const MAX_PRINTED_MISMATCHES = 20;
+
+// The rows of each table in the new version must be those counted by the
+// indexer in processedfiles. The rows of the failed tables are not checked.
+const validate = async (provider) => {
+  const db = await MongoUtil.getDb();
+  const counts = await provider.countTableRows();
+  const indexed = await db
+    .collection("processedfiles")
+    .find(
+      { success: true, indexed_count: { $gt: 0 } },
+      { projection: { _id: false, uuid: true, indexed_count: true } }
+    )
+    .toArray();
+  const mismatches = [];
+  let rowCount = 0;
+  for (let p of indexed) {
+    const count = counts.get(p.uuid.split("-").join("")) || 0;
+    rowCount += count;
+    if (count !== p.indexed_count) {
+      mismatches.push({ uuid: p.uuid, expected: p.indexed_count, count });
+    }
+  }
+  console.log(indexed.length, "tables with", rowCount, "rows checked");
+  if (mismatches.length > 0) {
+    console.table(mismatches.slice(0, MAX_PRINTED_MISMATCHES));
+  }
+  return mismatches.length === 0;
+};
+
+const publish = async (provider) => {
+  const { published, writing } = await provider.getIndexVersions();
+  if (!writing || writing === published) {
+    console.log("No new version of the index to publish");
+    return true;
+  }
+  console.log("Validating", writing, "...");
+  if (!(await validate(provider))) {
+    console.log(
+      "The row counts of",
+      writing,
+      "do not match processedfiles, not published"
+    );
+    return false;
+  }
+  const result = await provider.publishIndex();
+  console.log(result.published, "is published");
+  if (result.pruned.length > 0) {
+    console.log("Deleted the old versions", result.pruned.join(", "));
+  }
+  return true;
+};
+
+const rollback = async (provider) => {
+  const { published } = await provider.rollbackIndex();
+  console.log(published, "is published again");
+  return true;
+};
+
+const list = async (provider) => {
+  const { versions, published, writing } = await provider.getIndexVersions();
+  console.table(
+    versions.map((v) => {
+      return {
+        version: v,
+        published: v === published,
+        writing: v === writing,
+      };
+    })
+  );
+  return true;
+};
+
+const create = async (provider) => {
+  const version = await provider.createIndex();
+  if (version) {
+    console.log("Created", version, "which is now written to");
+  }
+  return true;
+};
+
+(async () => {
+  const provider = getSearchProvider();
+  let command = create;
+  if (args.includes("--publish")) {
+    command = publish;
+  } else if (args.includes("--rollback")) {
+    command = rollback;
+  } else if (args.includes("--list")) {
+    command = list;
+  }
+  let success;
+  try {
+    success = await command(provider);
+  } catch (err) {
+    console.log(err.message);
+    success = false;
+  }
+  await provider.close();
+  process.exit(success ? 0 : 1);
+})();
@@ -0,0 +1,62 @@
+// Harvester of the Socrata portals, using the Discovery API (`catalogUrl`,
+// e.g. https://data.cityofnewyork.us/api/catalog/v1). Each dataset has a
+// single resource, its CSV export. The catalog is paged with `scroll_id`,
+// since the API refuses the offsets beyond 10000 results.
+const Axios = require("axios");
+const { Harvester } = require("./Harvester");
+
+const BATCH_SIZE = 100;
+
+class SocrataHarvester extends Harvester {
+  normalize(result) {
+    const r = result.resource;
+    const classification = result.classification || {};
+    const domain = result.metadata.domain;
+    return {
+      id: r.id,
+      name: r.id,
+      title: r.name,
+      notes: r.description,
+      metadata_created: r.createdAt,
+      metadata_modified: r.updatedAt,
+      organization: { title: r.attribution || domain, description: "" },
+      tags: (classification.domain_tags || classification.tags || []).map(
+        (name) => {
+          return { name };
+        }
+      ),
+      resources: [
+        {
+          id: this.getResourceId(r.id),
+          name: r.name,
+          description: r.description,
+          format: "CSV",
+          url: `https://${domain}/api/views/${r.id}/rows.csv?accessType=DOWNLOAD`,
+          last_modified: r.data_updated_at || r.updatedAt,
+        },
+      ],
+    };
+  }
+
+  // The results are ordered by id when scrolling, the first page being
+  // requested with an empty scroll id and the next ones with the id of the
+  // last result
+  async *harvest(modifiedSince) {
+    let scrollId = "";
+    for (;;) {
+      const res = await Axios.get(this.portal.catalogUrl, {
+        params: { only: "dataset", limit: BATCH_SIZE, scroll_id: scrollId },
+      });
+      const results = res.data.results;
+      if (results.length === 0) {
+        return;
+      }
+      yield results
+        .map((r) => this.normalize(r))
+        .filter((d) => this.isModifiedSince(d, modifiedSince));
+      scrollId = results[results.length - 1].resource.id;
+    }
+  }
+}
+
+module.exports = SocrataHarvester;
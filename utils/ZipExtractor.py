@@ -0,0 +1,159 @@
+import pymongo
+import os
+import sys
+import json
+import stat
+import zipfile
+import DerivedResources
+
+'''
+Extracts the CSV and Excel files of a ZIP archive as resources derived from
+the resource of the archive. The files are written under their derived ids,
+never under their paths in the archive, and the archives with too many or too
+large files (or suspiciously compressed ones) are rejected. The sheets of the
+extracted Excel files are then extracted by ExcelSheetExtractor.py.
+Exits with 1 when the archive cannot be extracted, so that the pipeline
+retries it, and with 0 when it is skipped (e.g. already extracted).
+'''
+
+FILE_SIZE_LIMIT = 1e9
+MAX_ENTRIES = 1000
+MAX_ENTRY_SIZE = 2e9
+MAX_TOTAL_SIZE = 5e9
+MAX_COMPRESSION_RATIO = 200
+CHUNK_SIZE = 1 << 20
+FORMATS = {
+    ".csv": "CSV",
+    ".xls": "XLS",
+    ".xlsx": "XLSX",
+}
+CONFIG_PATH = os.path.abspath(os.path.join(os.path.dirname(
+    os.path.abspath(__file__)), "..", "app.config.json"))
+
+with open(CONFIG_PATH) as f:
+    config = json.load(f)
+
+
+def is_safe_path(name):
+    '''
+    Rejects the absolute paths and the paths out of the archive
+    '''
+    normalized = name.replace("\\", "/")
+    if normalized.startswith("/") or (len(normalized) > 1 and normalized[1] == ":"):
+        return False
+    return ".." not in normalized.split("/")
+
+
+def is_symlink(info):
+    return stat.S_ISLNK(info.external_attr >> 16)
+
+
+def list_entries(archive):
+    '''
+    Returns the extractable entries of an archive, or raises if the archive
+    exceeds the limits
+    '''
+    infos = archive.infolist()
+    if len(infos) > MAX_ENTRIES:
+        raise ValueError("too many entries")
+    entries = []
+    total_size = 0
+    for info in infos:
+        name = info.filename
+        if info.is_dir() or is_symlink(info) or not is_safe_path(name):
+            continue
+        base_name = os.path.basename(name)
+        if name.startswith("__MACOSX/") or base_name.startswith("."):
+            continue
+        extension = os.path.splitext(base_name)[1].lower()
+        if extension not in FORMATS:
+            continue
+        if info.file_size > MAX_ENTRY_SIZE:
+            raise ValueError("%s is too large" % name)
+        if info.compress_size > 0 and \
+                info.file_size / info.compress_size > MAX_COMPRESSION_RATIO:
+            raise ValueError("%s is too compressed" % name)
+        total_size += info.file_size
+        if total_size > MAX_TOTAL_SIZE:
+            raise ValueError("too large in total")
+        entries.append((info, FORMATS[extension]))
+    return entries
+
+
+def extract_entry(archive, info, path):
+    '''
+    Extracts an entry to a temporary file renamed once complete, stopping at
+    the declared size in case the archive lies about it
+    '''
+    tmp_path = path + ".part"
+    size = 0
+    try:
+        with archive.open(info) as source, open(tmp_path, "wb") as target:
+            for chunk in iter(lambda: source.read(CHUNK_SIZE), b''):
+                size += len(chunk)
+                if size > info.file_size:
+                    raise ValueError("%s exceeds its size" % info.filename)
+                target.write(chunk)
+    except Exception:
+        if os.path.exists(tmp_path):
+            os.remove(tmp_path)
+        raise
+    os.replace(tmp_path, path)
+
+
+file_path = sys.argv[1]
+parent_id = os.path.splitext(os.path.basename(file_path))[0]
+
+print("Extracting archive", parent_id, "...")
+
+if not os.path.isfile(file_path):
+    print(parent_id, "cannot be opened, quitting...")
+    sys.exit(1)
+
+if os.path.getsize(file_path) > FILE_SIZE_LIMIT:
+    print(parent_id, "is too large, quitting...")
+    sys.exit(1)
+
+mongo_client = pymongo.MongoClient(config["mongodb"]["uri"])
+db = mongo_client[config["mongodb"]["db"]]
+
+dataset, parent = DerivedResources.find_parent(db, parent_id)
+if parent is None:
+    print(parent_id, "is not in the metadata, quitting...")
+    mongo_client.close()
+    sys.exit(0)
+
+sha256 = DerivedResources.get_file_sha256(file_path)
+if DerivedResources.is_up_to_date(db, parent_id, sha256):
+    # The metadata may have been imported again since the extraction
+    DerivedResources.register_derived_resources(db, parent_id)
+    print(parent_id, "has already been processed, quitting...")
+    mongo_client.close()
+    sys.exit(0)
+
+resources = []
+try:
+    with zipfile.ZipFile(file_path) as archive:
+        for info, file_format in list_entries(archive):
+            derived_id = DerivedResources.get_derived_id(
+                parent_id, info.filename)
+            resource = {
+                "id": derived_id,
+                "name": os.path.basename(info.filename),
+                "description": parent.get("description"),
+                "format": file_format,
+                "url": parent.get("url"),
+                "parent_id": parent_id,
+                "archive_path": info.filename,
+            }
+            extract_entry(archive, info,
+                          DerivedResources.get_file_path(resource))
+            resources.append(resource)
+except Exception as e:
+    print(parent_id, "cannot be extracted:", e)
+    mongo_client.close()
+    sys.exit(1)
+
+DerivedResources.save_derived_resources(db, parent_id, resources, sha256)
+print(len(resources), "files of", parent_id, "are extracted")
+mongo_client.close()